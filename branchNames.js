@@ -0,0 +1,154 @@
+/**
+ * Branch name templates
+ * By default a branch is named auto-YYYY-MM-DD (auto-YYYY-MM-DD-N with several branches per
+ * date). A template such as `fixtures/{date}-{index}`, `feature/{slug}` or `{runId}/{date}`
+ * names them instead. Every planned name is checked against git's ref-name rules (see
+ * `git check-ref-format --branch`) before any branch is created.
+ */
+
+const BRANCH_PLACEHOLDERS = ['date', 'index', 'slug', 'runId'];
+const MAX_TEMPLATE_LENGTH = 200;
+// Stands in for {runId} when checking names before the run has an id
+const SAMPLE_RUN_ID = '0000000000000000';
+
+const SLUG_VERBS = ['add', 'update', 'fix', 'refactor', 'improve', 'remove', 'rename', 'support', 'clean-up', 'extend'];
+const SLUG_NOUNS = [
+  'cache', 'parser', 'router', 'config', 'logging', 'metrics', 'auth', 'session', 'search', 'billing',
+  'exports', 'imports', 'schema', 'queue', 'worker', 'scheduler', 'settings', 'profile', 'reports', 'docs'
+];
+
+/**
+ * Check a branch name against git's ref-name rules
+ * @param {string} name - Branch name
+ * @returns {string|null} - What is wrong with the name, or null if git accepts it
+ */
+function checkBranchName(name) {
+  if (typeof name !== 'string' || name === '') {
+    return 'must not be empty';
+  }
+  if (name.length > 250) {
+    return 'must be at most 250 characters';
+  }
+  if (name === 'HEAD' || name === '@') {
+    return `cannot be ${name}`;
+  }
+  if (name.startsWith('-')) {
+    return 'cannot start with "-"';
+  }
+  // Control characters, space and ~ ^ : ? * [ \ are not allowed anywhere in a ref
+  if (/[\x00-\x20\x7f~^:?*[\\]/.test(name)) {
+    return 'cannot contain spaces, control characters or any of ~ ^ : ? * [ \\';
+  }
+  if (name.includes('..') || name.includes('@{')) {
+    return 'cannot contain ".." or "@{"';
+  }
+  if (name.startsWith('/') || name.endsWith('/') || name.includes('//')) {
+    return 'cannot start or end with "/" or contain "//"';
+  }
+  if (name.endsWith('.')) {
+    return 'cannot end with "."';
+  }
+  if (name.split('/').some(component => component.startsWith('.') || component.endsWith('.lock'))) {
+    return 'cannot have a path component starting with "." or ending with ".lock"';
+  }
+  return null;
+}
+
+/**
+ * Validate a branch name template
+ * @param {string|undefined} template - Template text (empty for the default auto-YYYY-MM-DD names)
+ * @returns {{error?: string, branchTemplate?: string|null}} - The template (null for the default) or an error
+ */
+function resolveBranchTemplate(template) {
+  if (template === undefined || template === null || template === '') {
+    return { branchTemplate: null };
+  }
+  if (typeof template !== 'string' || template.length > MAX_TEMPLATE_LENGTH) {
+    return { error: `Branch template must be text of at most ${MAX_TEMPLATE_LENGTH} characters` };
+  }
+  for (const [, name] of template.matchAll(/\{(\w*)\}/g)) {
+    if (!BRANCH_PLACEHOLDERS.includes(name)) {
+      return { error: `Unknown placeholder {${name}} in branch template. Use ${BRANCH_PLACEHOLDERS.map(placeholder => `{${placeholder}}`).join(', ')}` };
+    }
+  }
+  // Placeholder values are always valid in a ref, so checking a sample name checks the literal parts
+  const sampleError = checkBranchName(template
+    .replace(/\{date\}/g, '2024-01-01')
+    .replace(/\{index\}/g, '1')
+    .replace(/\{slug\}/g, 'add-cache')
+    .replace(/\{runId\}/g, SAMPLE_RUN_ID));
+  if (sampleError) {
+    return { error: `Branch template ${template} does not give valid branch names: a branch name ${sampleError}` };
+  }
+  return { branchTemplate: template };
+}
+
+/**
+ * Pick a slug for a branch, such as "add-cache" (another one if the run already used it)
+ * @param {Object} random - Seeded generator from createRandom
+ * @param {Set<string>} usedSlugs - Slugs already taken in the run (the new slug is added)
+ * @returns {string} - Slug
+ */
+function createBranchSlug(random, usedSlugs) {
+  let slug = `${SLUG_VERBS[random.int(SLUG_VERBS.length)]}-${SLUG_NOUNS[random.int(SLUG_NOUNS.length)]}`;
+  if (usedSlugs.has(slug)) {
+    let suffix = 2;
+    while (usedSlugs.has(`${slug}-${suffix}`)) {
+      suffix++;
+    }
+    slug = `${slug}-${suffix}`;
+  }
+  usedSlugs.add(slug);
+  return slug;
+}
+
+/**
+ * Render a branch name from a template
+ * {runId} is only known when the plan runs, so it is left in place (see fillRunId in commitMessages.js).
+ * @param {string} template - Template from resolveBranchTemplate
+ * @param {{date: string, index: number, slug: string}} values - Placeholder values ({index} is the branch's number on its date, from 1)
+ * @returns {string} - Branch name
+ */
+function renderBranchName(template, values) {
+  return template.replace(/\{(date|index|slug)\}/g, (_, name) => String(values[name]));
+}
+
+/**
+ * Check the branch names of a plan before any branch is created
+ * Names must be valid refs and distinct, and no name may be a directory of another
+ * (git cannot store both fixtures/2024-01-01 and fixtures/2024-01-01/1).
+ * @param {Array<string>} names - Planned branch names ({runId} may still be unfilled)
+ * @returns {string|null} - Error message, or null if every name can be created
+ */
+function checkPlannedBranchNames(names) {
+  const seen = new Set();
+  for (const name of names) {
+    const error = checkBranchName(name.replace(/\{runId\}/g, SAMPLE_RUN_ID));
+    if (error) {
+      return `Invalid branch name ${name}: a branch name ${error}`;
+    }
+    if (seen.has(name)) {
+      return `Branch name ${name} is planned more than once; add {index} or {slug} to the branch template`;
+    }
+    seen.add(name);
+  }
+  for (const name of names) {
+    const parts = name.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const parent = parts.slice(0, i).join('/');
+      if (seen.has(parent)) {
+        return `Branch names ${parent} and ${name} cannot both exist in git; change the branch template`;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  BRANCH_PLACEHOLDERS,
+  checkBranchName,
+  resolveBranchTemplate,
+  createBranchSlug,
+  renderBranchName,
+  checkPlannedBranchNames
+};
@@ -0,0 +1,173 @@
+/**
+ * Commit message formats
+ * A message is rendered from a template with placeholders: {date}, {index} (the commit's
+ * number on its branch), {branch} and {runId}. In the conventional mode each message gets a
+ * Conventional Commits header (`type(scope): `) cycling through configurable types and scopes,
+ * so changelog and semantic-release tooling sees realistic history.
+ */
+
+const MESSAGE_MODES = ['template', 'conventional'];
+const PLACEHOLDERS = ['date', 'index', 'branch', 'runId'];
+const MAX_TEMPLATE_LENGTH = 500;
+const MAX_LIST_LENGTH = 50;
+
+const DEFAULT_TEMPLATE = 'Auto commit {index} for {date}';
+// In the conventional mode the template is the description after the header
+const DEFAULT_CONVENTIONAL_TEMPLATE = 'commit {index} for {date}';
+const DEFAULT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore'];
+
+const TYPE_PATTERN = /^[a-z][a-z0-9-]*$/;
+const SCOPE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/-]*$/;
+
+/**
+ * Check a message template for unknown placeholders
+ * @param {string} template - Template text
+ * @returns {string|null} - Error message, or null if the template is valid
+ */
+function checkMessageTemplate(template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return 'Message template must be non-empty text';
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `Message template must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+  for (const [, name] of template.matchAll(/\{(\w*)\}/g)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      return `Unknown placeholder {${name}} in message template. Use ${PLACEHOLDERS.map(placeholder => `{${placeholder}}`).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a list of Conventional Commits types or scopes
+ * @param {*} list - Value from the request
+ * @param {string} name - 'types' or 'scopes'
+ * @param {RegExp} pattern - Pattern each entry must match
+ * @returns {{error?: string, list?: string[]}} - Trimmed entries or an error
+ */
+function resolveList(list, name, pattern) {
+  if (!Array.isArray(list) || list.length > MAX_LIST_LENGTH) {
+    return { error: `Conventional commit ${name} must be a list of at most ${MAX_LIST_LENGTH} names` };
+  }
+  const entries = list.map(entry => (typeof entry === 'string' ? entry.trim() : entry));
+  const invalid = entries.find(entry => typeof entry !== 'string' || !pattern.test(entry));
+  if (invalid !== undefined) {
+    return { error: `Invalid conventional commit ${name === 'types' ? 'type' : 'scope'}: ${JSON.stringify(invalid)}` };
+  }
+  return { list: [...new Set(entries)] };
+}
+
+/**
+ * Validate a message setting and fill in defaults
+ * @param {string|Object|undefined} messages - Template text, or { mode, template, types, scopes } (default: 'Auto commit {index} for {date}')
+ * @returns {{error?: string, messages?: Object}} - Normalized setting or an error
+ */
+function resolveMessageFormat(messages) {
+  if (messages === undefined || messages === null || messages === '') {
+    return { messages: { mode: 'template', template: DEFAULT_TEMPLATE } };
+  }
+  if (typeof messages !== 'string' && (typeof messages !== 'object' || Array.isArray(messages))) {
+    return { error: 'Commit messages must be a template or an object with mode, template, types and scopes' };
+  }
+  const { mode = 'template', template, types, scopes } = typeof messages === 'string' ? { template: messages } : messages;
+
+  if (!MESSAGE_MODES.includes(mode)) {
+    return { error: `Unknown commit message mode: ${mode}. Use one of: ${MESSAGE_MODES.join(', ')}` };
+  }
+  const messageTemplate = template === undefined || template === null || template === ''
+    ? (mode === 'conventional' ? DEFAULT_CONVENTIONAL_TEMPLATE : DEFAULT_TEMPLATE)
+    : template;
+  const templateError = checkMessageTemplate(messageTemplate);
+  if (templateError) {
+    return { error: templateError };
+  }
+
+  if (mode === 'template') {
+    if (types !== undefined || scopes !== undefined) {
+      return { error: 'Conventional commit types and scopes need "mode": "conventional"' };
+    }
+    return { messages: { mode, template: messageTemplate } };
+  }
+
+  const typeList = types === undefined || types === null ? { list: DEFAULT_TYPES } : resolveList(types, 'types', TYPE_PATTERN);
+  if (typeList.error) {
+    return { error: typeList.error };
+  }
+  if (typeList.list.length === 0) {
+    return { error: 'Conventional commit types must include at least one type' };
+  }
+  const scopeList = scopes === undefined || scopes === null ? { list: [] } : resolveList(scopes, 'scopes', SCOPE_PATTERN);
+  if (scopeList.error) {
+    return { error: scopeList.error };
+  }
+
+  return { messages: { mode, template: messageTemplate, types: typeList.list, scopes: scopeList.list } };
+}
+
+/**
+ * Fill in the placeholders of a template
+ * {runId} is only known when the plan runs, so it is left in place until fillRunId.
+ * @param {string} template - Template text
+ * @param {{date: string, index: number, branch: string}} values - Placeholder values
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{(date|index|branch)\}/g, (_, name) => String(values[name]));
+}
+
+/**
+ * Render the message of one commit
+ * In the conventional mode, commit number `sequence` of the run takes the next type; the scope
+ * moves on once every type has been used, so all type and scope pairs come up in turn.
+ * @param {Object} messages - Normalized setting (see resolveMessageFormat)
+ * @param {{date: string, index: number, branch: string, sequence: number}} values - Placeholder values and the commit's 0-based position in the run
+ * @returns {string} - Commit message ({runId} still unfilled)
+ */
+function formatCommitMessage(messages, values) {
+  const description = renderTemplate(messages.template, values);
+  if (messages.mode !== 'conventional') {
+    return description;
+  }
+  const type = messages.types[values.sequence % messages.types.length];
+  const scope = messages.scopes.length > 0
+    ? messages.scopes[Math.floor(values.sequence / messages.types.length) % messages.scopes.length]
+    : null;
+  return `${type}${scope ? `(${scope})` : ''}: ${description}`;
+}
+
+/**
+ * Fill in the run id of a planned message
+ * @param {string} message - Planned commit message
+ * @param {string|null} runId - Id of the run record (messages are left as they are without one)
+ * @returns {string} - Final commit message
+ */
+function fillRunId(message, runId) {
+  return runId ? message.replace(/\{runId\}/g, runId) : message;
+}
+
+/**
+ * Describe a message setting for progress messages
+ * @param {Object} messages - Normalized setting
+ * @returns {string} - e.g. "conventional (feat, fix; scopes: api, ui): commit {index} for {date}"
+ */
+function describeMessageFormat(messages) {
+  if (messages.mode !== 'conventional') {
+    return `"${messages.template}"`;
+  }
+  const scopes = messages.scopes.length > 0 ? `; scopes: ${messages.scopes.join(', ')}` : '';
+  return `conventional (${messages.types.join(', ')}${scopes}): "${messages.template}"`;
+}
+
+module.exports = {
+  MESSAGE_MODES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  DEFAULT_TYPES,
+  checkMessageTemplate,
+  resolveMessageFormat,
+  renderTemplate,
+  formatCommitMessage,
+  fillRunId,
+  describeMessageFormat
+};
@@ -0,0 +1,435 @@
+/**
+ * Commit content generators
+ * A generator decides what each commit changes in the working tree: the default `log`
+ * appends a line to commits.txt, the others edit, create, delete, rename or add source
+ * files so fixture repositories have realistic diffs. Every generated file (other than
+ * commits.txt) starts with a marker line naming its generator, which is how conflict
+ * resolution recognizes generated files later (see getConflictStrategy).
+ * Generators reach files through a file access object (see createWorkingTreeFiles), so the
+ * plumbing writer can run them against an in-memory tree instead (see plumbing.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COMMITS_FILE = 'commits.txt';
+const MARKER_PATTERN = /Generated by auto-git \((\w+)\)/;
+
+const WORDS = [
+  'alpha', 'beta', 'cache', 'delta', 'event', 'field', 'graph', 'handler', 'index', 'job',
+  'key', 'layer', 'model', 'node', 'option', 'parser', 'query', 'record', 'schema', 'token',
+  'update', 'value', 'worker', 'buffer', 'config', 'stream', 'filter', 'route', 'state', 'task'
+];
+
+/**
+ * Source stub templates per language
+ * `comment` prefixes the marker line; `file` builds the file name (some languages tie it to the
+ * type name); `stub` returns the lines of a stub with the given statements in its body.
+ */
+const LANGUAGES = {
+  javascript: {
+    comment: '//',
+    file: name => `${name}.js`,
+    statement: (word, i) => `const ${word}${i} = '${word}';`,
+    stub: (name, body) => [`function ${name}() {`, ...body.map(line => `  ${line}`), '}', '', `module.exports = { ${name} };`]
+  },
+  typescript: {
+    comment: '//',
+    file: name => `${name}.ts`,
+    statement: (word, i) => `const ${word}${i}: string = '${word}';`,
+    stub: (name, body) => [`export function ${name}(): void {`, ...body.map(line => `  ${line}`), '}']
+  },
+  python: {
+    comment: '#',
+    file: name => `${name}.py`,
+    statement: (word, i) => `${word}${i} = "${word}"`,
+    stub: (name, body) => [`def ${name}():`, ...body.map(line => `    ${line}`), '    return None']
+  },
+  go: {
+    comment: '//',
+    file: name => `${name}.go`,
+    statement: (word, i) => `_ = "${word}${i}"`,
+    stub: (name, body) => ['package stubs', '', `func ${name}() {`, ...body.map(line => `\t${line}`), '}']
+  },
+  java: {
+    comment: '//',
+    file: name => `${toTypeName(name)}.java`,
+    statement: (word, i) => `String ${word}${i} = "${word}";`,
+    stub: (name, body) => [`public class ${toTypeName(name)} {`, '    public static void run() {', ...body.map(line => `        ${line}`), '    }', '}']
+  },
+  rust: {
+    comment: '//',
+    file: name => `${name}.rs`,
+    statement: (word, i) => `let _${word}${i} = "${word}";`,
+    stub: (name, body) => [`pub fn ${name}() {`, ...body.map(line => `    ${line}`), '}']
+  },
+  ruby: {
+    comment: '#',
+    file: name => `${name}.rb`,
+    statement: (word, i) => `${word}${i} = '${word}'`,
+    stub: (name, body) => [`def ${name}`, ...body.map(line => `  ${line}`), 'end']
+  }
+};
+
+/**
+ * Turn a snake_case stub name into a type name (stub_20240304_ab12 -> Stub20240304Ab12)
+ * @param {string} name - Stub name
+ * @returns {string} - Type name
+ */
+function toTypeName(name) {
+  return name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+const FILES_PARAM = { type: 'integer', min: 1, max: 50, default: 1, description: 'Files touched per commit' };
+const LINES_PARAM = { type: 'integer', min: 1, max: 500, default: 5, description: 'Lines written or changed per file' };
+const DIRECTORY_PARAM = { type: 'path', default: 'generated', description: 'Directory for the generated files (relative to the repository)' };
+
+/**
+ * Available generators
+ * `params` describes each parameter like the distribution strategies do; `conflicts` is how a
+ * conflicting generated file is resolved when a branch is updated with its base branch:
+ * 'union' keeps the lines of both sides, 'ours' keeps the branch's version. `apply` changes the
+ * files (context.files) for one commit and returns the repository-relative paths it touched
+ * (including deleted and renamed-away paths).
+ */
+const CONTENT_GENERATORS = {
+  log: {
+    description: 'Append a line to commits.txt',
+    params: {},
+    conflicts: 'union',
+    apply: ({ files, date, commitNumber, timestamp }) => {
+      const content = files.exists(COMMITS_FILE) ? files.read(COMMITS_FILE) : '';
+      files.write(COMMITS_FILE, `${content}${date} - Commit ${commitNumber} at ${timestamp}\n`);
+      return [COMMITS_FILE];
+    }
+  },
+  edit: {
+    description: 'Edit text files under a directory, removing and inserting lines',
+    params: {
+      directory: DIRECTORY_PARAM,
+      files: { ...FILES_PARAM, default: 2 },
+      lines: LINES_PARAM
+    },
+    conflicts: 'ours',
+    apply: context => {
+      const { files, params, random } = context;
+      const pool = listGeneratedFiles(context, 'edit');
+      const touched = [];
+      // Grow the pool until there are enough files to edit
+      for (let i = 1; pool.length < params.files; i++) {
+        const file = path.posix.join(params.directory, `file-${i}.txt`);
+        if (!files.exists(file)) {
+          writeGeneratedFile(context, file, 'edit', '', textLines(random, params.lines));
+          pool.push(file);
+          touched.push(file);
+        }
+      }
+      for (const file of random.shuffle(pool).slice(0, params.files)) {
+        const [marker, ...body] = files.read(file).replace(/\n$/, '').split('\n');
+        const removals = Math.min(Math.floor(params.lines / 2), body.length);
+        for (let i = 0; i < removals; i++) {
+          body.splice(random.int(body.length), 1);
+        }
+        for (const line of textLines(random, params.lines - removals)) {
+          body.splice(random.int(body.length + 1), 0, line);
+        }
+        files.write(file, [marker, ...body].join('\n') + '\n');
+        if (!touched.includes(file)) {
+          touched.push(file);
+        }
+      }
+      return touched;
+    }
+  },
+  churn: {
+    description: 'Create new files and delete earlier ones',
+    params: {
+      directory: DIRECTORY_PARAM,
+      files: { ...FILES_PARAM, description: 'Files created per commit' },
+      deletes: { type: 'integer', min: 0, max: 50, default: 1, description: 'Earlier files deleted per commit' },
+      lines: LINES_PARAM
+    },
+    conflicts: 'ours',
+    apply: context => {
+      const { files, params, random } = context;
+      const deleted = random.shuffle(listGeneratedFiles(context, 'churn')).slice(0, params.deletes);
+      deleted.forEach(file => files.remove(file));
+      const created = Array.from({ length: params.files }, () => {
+        const file = uniqueFile(context, name => `${name}.txt`);
+        writeGeneratedFile(context, file, 'churn', '', textLines(random, params.lines));
+        return file;
+      });
+      return [...deleted, ...created];
+    }
+  },
+  rename: {
+    description: 'Rename files (with optional small edits so git still detects the rename)',
+    params: {
+      directory: DIRECTORY_PARAM,
+      files: { ...FILES_PARAM, description: 'Files renamed per commit' },
+      lines: { ...LINES_PARAM, min: 0, default: 0, description: 'Lines appended to each renamed file' }
+    },
+    conflicts: 'ours',
+    apply: context => {
+      const { files, params, random } = context;
+      const pool = listGeneratedFiles(context, 'rename');
+      // The first commit creates the files; later commits rename them
+      if (pool.length === 0) {
+        return Array.from({ length: params.files }, () => {
+          const file = uniqueFile(context, name => `${name}.txt`);
+          writeGeneratedFile(context, file, 'rename', '', textLines(random, Math.max(params.lines, 10)));
+          return file;
+        });
+      }
+      return random.shuffle(pool).slice(0, params.files).flatMap(file => {
+        const renamed = uniqueFile(context, name => `${name}.txt`);
+        files.rename(file, renamed);
+        if (params.lines > 0) {
+          files.write(renamed, files.read(renamed) + textLines(random, params.lines).join('\n') + '\n');
+        }
+        return [file, renamed];
+      });
+    }
+  },
+  stubs: {
+    description: 'Add source file stubs in a chosen language',
+    params: {
+      directory: { ...DIRECTORY_PARAM, default: 'src' },
+      language: { type: 'enum', values: Object.keys(LANGUAGES), default: 'javascript', description: 'Language of the stubs' },
+      files: { ...FILES_PARAM, description: 'Stub files added per commit' },
+      lines: { ...LINES_PARAM, description: 'Statements in each stub' }
+    },
+    conflicts: 'ours',
+    apply: context => {
+      const { params, random } = context;
+      const language = LANGUAGES[params.language];
+      return Array.from({ length: params.files }, () => {
+        let name;
+        const file = uniqueFile(context, stubName => {
+          name = stubName.replace(/-/g, '_');
+          return language.file(name);
+        });
+        const body = Array.from({ length: params.lines }, (_, i) => language.statement(WORDS[random.int(WORDS.length)], i + 1));
+        writeGeneratedFile(context, file, 'stubs', `${language.comment} `, language.stub(name, body));
+        return file;
+      });
+    }
+  }
+};
+
+/**
+ * Random lines of text
+ * @param {Object} random - Seeded generator
+ * @param {number} count - Number of lines
+ * @returns {string[]} - Lines
+ */
+function textLines(random, count) {
+  return Array.from({ length: count }, () =>
+    Array.from({ length: 3 + random.int(6) }, () => WORDS[random.int(WORDS.length)]).join(' '));
+}
+
+/**
+ * Write a generated file, starting with the marker line
+ * @param {Object} context - Generator context (files)
+ * @param {string} file - Repository-relative path
+ * @param {string} generator - Generator name
+ * @param {string} commentPrefix - Comment syntax for the marker line ('' for text files)
+ * @param {string[]} lines - Content lines
+ */
+function writeGeneratedFile(context, file, generator, commentPrefix, lines) {
+  context.files.write(file, [`${commentPrefix}Generated by auto-git (${generator})`, ...lines].join('\n') + '\n');
+}
+
+/**
+ * List the files a generator created in its directory
+ * @param {Object} context - Generator context (files, params.directory)
+ * @param {string} generator - Generator name
+ * @returns {string[]} - Repository-relative paths, sorted
+ */
+function listGeneratedFiles(context, generator) {
+  return context.files.list(context.params.directory)
+    .filter(file => {
+      const firstLine = context.files.read(file).split('\n', 1)[0];
+      const match = firstLine.match(MARKER_PATTERN);
+      return match && match[1] === generator;
+    })
+    .sort();
+}
+
+/**
+ * Pick a file name in the generator's directory that does not exist yet
+ * @param {Object} context - Generator context (files, date, params.directory, random)
+ * @param {Function} toFileName - Turns a base name (e.g., 'file-20240304-a1b2c3') into a file name
+ * @returns {string} - Repository-relative path
+ */
+function uniqueFile(context, toFileName) {
+  for (;;) {
+    const suffix = Math.floor(context.random.next() * 0xffffff).toString(16).padStart(6, '0');
+    const file = path.posix.join(context.params.directory, toFileName(`file-${context.date.replace(/-/g, '')}-${suffix}`));
+    if (!context.files.exists(file)) {
+      return file;
+    }
+  }
+}
+
+/**
+ * File access for generators on the working tree
+ * Paths are repository-relative with forward slashes; the plumbing writer provides the same
+ * methods over an in-memory tree (see createTreeFiles in plumbing.js).
+ * @param {string} repoPath - Repository path
+ * @returns {{exists: Function, read: Function, write: Function, remove: Function, rename: Function, list: Function}} - File access
+ */
+function createWorkingTreeFiles(repoPath) {
+  const resolve = file => path.join(repoPath, file);
+  return {
+    exists: file => fs.existsSync(resolve(file)),
+    read: file => fs.readFileSync(resolve(file), 'utf8'),
+    write: (file, content) => {
+      fs.mkdirSync(path.dirname(resolve(file)), { recursive: true });
+      fs.writeFileSync(resolve(file), content);
+    },
+    remove: file => fs.unlinkSync(resolve(file)),
+    rename: (from, to) => fs.renameSync(resolve(from), resolve(to)),
+    // Files (not subdirectories) directly inside a directory
+    list: directory => {
+      const dirPath = resolve(directory);
+      if (!fs.existsSync(dirPath)) {
+        return [];
+      }
+      return fs.readdirSync(dirPath, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => path.posix.join(directory, entry.name));
+    }
+  };
+}
+
+/**
+ * Get the generators with their parameters (for the UI and the API)
+ * @returns {Array<Object>} - Generators with name, description and params
+ */
+function getContentGenerators() {
+  return Object.entries(CONTENT_GENERATORS).map(([name, generator]) => ({
+    name,
+    description: generator.description,
+    params: Object.entries(generator.params).map(([paramName, param]) => ({ name: paramName, ...param }))
+  }));
+}
+
+/**
+ * Validate one generator parameter
+ * @param {Object} param - Parameter definition
+ * @param {*} value - Supplied value
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateParam(param, value) {
+  switch (param.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < param.min || value > param.max) {
+        return `must be a whole number from ${param.min} to ${param.max}`;
+      }
+      return null;
+    case 'enum':
+      return param.values.includes(value) ? null : `must be one of: ${param.values.join(', ')}`;
+    case 'path': {
+      const segments = typeof value === 'string' ? value.split('/') : [];
+      if (segments.length === 0 || value.length > 200 || !/^[A-Za-z0-9._/-]+$/.test(value) ||
+          segments.some(segment => segment === '' || segment === '.' || segment === '..') || segments[0] === '.git') {
+        return 'must be a relative directory inside the repository (letters, digits, ".", "_", "-" and "/")';
+      }
+      return null;
+    }
+    default:
+      return 'has an unknown type';
+  }
+}
+
+/**
+ * Validate a content setting and fill in parameter defaults
+ * @param {string|Object|undefined} content - Generator name, or { generator, params } (default: log)
+ * @returns {{error?: string, content?: {generator: string, params: Object}}} - Normalized setting or an error
+ */
+function resolveContentGenerator(content) {
+  if (content === undefined || content === null || content === '') {
+    return { content: { generator: 'log', params: {} } };
+  }
+  const { generator: name, params = {} } = typeof content === 'string' ? { generator: content } : content;
+
+  const generator = Object.prototype.hasOwnProperty.call(CONTENT_GENERATORS, name) ? CONTENT_GENERATORS[name] : null;
+  if (!generator) {
+    return { error: `Unknown content generator: ${name}. Use one of: ${Object.keys(CONTENT_GENERATORS).join(', ')}` };
+  }
+  if (typeof params !== 'object' || Array.isArray(params) || params === null) {
+    return { error: 'Content generator params must be an object' };
+  }
+
+  for (const key of Object.keys(params)) {
+    if (!Object.prototype.hasOwnProperty.call(generator.params, key)) {
+      return { error: `Unknown parameter for the ${name} content generator: ${key}` };
+    }
+  }
+  const resolvedParams = {};
+  for (const [key, param] of Object.entries(generator.params)) {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') {
+      resolvedParams[key] = param.default;
+      continue;
+    }
+    const error = validateParam(param, value);
+    if (error) {
+      return { error: `Content generator parameter ${key} ${error}` };
+    }
+    resolvedParams[key] = value;
+  }
+
+  return { content: { generator: name, params: resolvedParams } };
+}
+
+/**
+ * Change the files for one commit
+ * @param {{generator: string, params: Object}} content - Normalized setting (see resolveContentGenerator)
+ * @param {Object} context - { repoPath, date, commitNumber, timestamp, random, files? } (files defaults to the working tree at repoPath)
+ * @returns {string[]} - Repository-relative paths touched (stage them with `git add -A --`)
+ */
+function applyContentGenerator(content, context) {
+  const files = context.files || createWorkingTreeFiles(context.repoPath);
+  return CONTENT_GENERATORS[content.generator].apply({ ...context, files, params: content.params });
+}
+
+/**
+ * Decide how to resolve a conflicted file, based on the generator that wrote it
+ * commits.txt (log) combines both sides so no commit line is lost; files with a generator
+ * marker, like any other file, keep the branch's version.
+ * @param {string} file - Repository-relative path
+ * @param {string} content - File content (with conflict markers)
+ * @returns {{generator: string|null, strategy: string}} - Generator (null if not generated) and 'union' or 'ours'
+ */
+function getConflictStrategy(file, content) {
+  if (path.basename(file) === COMMITS_FILE) {
+    return { generator: 'log', strategy: CONTENT_GENERATORS.log.conflicts };
+  }
+  const match = content.split('\n', 3).join('\n').match(MARKER_PATTERN);
+  if (match && Object.prototype.hasOwnProperty.call(CONTENT_GENERATORS, match[1])) {
+    return { generator: match[1], strategy: CONTENT_GENERATORS[match[1]].conflicts };
+  }
+  return { generator: null, strategy: 'ours' };
+}
+
+/**
+ * Describe a content setting for logs and messages (e.g., "stubs (directory: src, language: go, files: 1, lines: 5)")
+ * @param {{generator: string, params: Object}} content - Normalized setting
+ * @returns {string} - Description
+ */
+function describeContentGenerator(content) {
+  const params = Object.entries(content.params).map(([key, value]) => `${key}: ${value}`);
+  return params.length > 0 ? `${content.generator} (${params.join(', ')})` : content.generator;
+}
+
+module.exports = {
+  CONTENT_GENERATORS,
+  getContentGenerators,
+  resolveContentGenerator,
+  createWorkingTreeFiles,
+  applyContentGenerator,
+  getConflictStrategy,
+  describeContentGenerator
+};
@@ -0,0 +1,74 @@
+/**
+ * On-disk JSON storage for data that outlives a run (holiday sets, etc.)
+ * Files live in AUTO_GIT_DATA_DIR, or .auto-git in the working directory
+ * (/tmp/.auto-git on Vercel, the only writable location there).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Get the directory used for stored data
+ * @returns {string} - Absolute path of the data directory
+ */
+function getDataDir() {
+  if (process.env.AUTO_GIT_DATA_DIR) {
+    return path.resolve(process.env.AUTO_GIT_DATA_DIR);
+  }
+  const isVercel = process.env.VERCEL || process.env.NOW_REGION;
+  return path.join(isVercel ? '/tmp' : process.cwd(), '.auto-git');
+}
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} fileName - File name inside the data directory
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {*} - Parsed content, or the fallback
+ */
+function readJson(fileName, fallback) {
+  const filePath = path.join(getDataDir(), fileName);
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON file to the data directory
+ * Writes to a temporary file first so a crash never leaves a half-written file behind.
+ * @param {string} fileName - File name inside the data directory (may include a subdirectory)
+ * @param {*} data - JSON-serializable data
+ */
+function writeJson(fileName, data) {
+  const filePath = path.join(getDataDir(), fileName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * List the JSON files in a subdirectory of the data directory
+ * @param {string} dirName - Subdirectory name
+ * @returns {string[]} - File names relative to the data directory (e.g., 'plans/abc.json')
+ */
+function listJson(dirName) {
+  const dirPath = path.join(getDataDir(), dirName);
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  return fs.readdirSync(dirPath)
+    .filter(name => name.endsWith('.json'))
+    .map(name => path.join(dirName, name));
+}
+
+module.exports = {
+  getDataDir,
+  readJson,
+  writeJson,
+  listJson
+};
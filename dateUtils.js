@@ -1,7 +1,9 @@
 /**
- * Date utility functions for excluding Sundays and holidays
+ * Date utility functions for excluding weekends and holidays
  */
 
+const { findCalendarDates, getTableDate, getSolarTermDate, HINDU_FESTIVAL_DATES } = require('./lunarCalendar');
+
 /**
  * Check if a date is a Sunday
  * @param {Date} date - The date to check
@@ -11,41 +13,176 @@ function isSunday(date) {
   return date.getDay() === 0;
 }
 
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Default non-working days per country (0 = Sunday, 6 = Saturday)
+ * Countries not listed only exclude Sunday.
+ */
+const COUNTRY_WEEKENDS = {
+  'SA': [5, 6],
+  'AE': [5, 6],
+};
+
+/**
+ * Get the default non-working days for a country or region
+ * @param {string} countryCode - Country or region code
+ * @returns {number[]} - Weekday numbers (0 = Sunday, 6 = Saturday)
+ */
+function getDefaultWeekendDays(countryCode) {
+  return COUNTRY_WEEKENDS[getParentCountryCode(countryCode)] || [0];
+}
+
+/**
+ * Validate and normalize a list of non-working weekdays
+ * @param {Array<number|string>} weekendDays - Weekday numbers (0 = Sunday, 6 = Saturday)
+ * @returns {number[]|null} - Sorted unique weekday numbers, or null if invalid
+ */
+function normalizeWeekendDays(weekendDays) {
+  if (!Array.isArray(weekendDays)) {
+    return null;
+  }
+  const days = weekendDays.map(day => parseInt(day));
+  if (days.some(day => isNaN(day) || day < 0 || day > 6)) {
+    return null;
+  }
+  const unique = [...new Set(days)].sort((a, b) => a - b);
+  // At least one working day must remain
+  return unique.length < 7 ? unique : null;
+}
+
+/**
+ * Validate and normalize blackout ranges (e.g., a release freeze or a team offsite)
+ * @param {Array<{start: string, end: string, label?: string}>} ranges - Inclusive ranges of YYYY-MM-DD dates
+ * @returns {Array<{start: string, end: string, label: string}>|null} - Ranges sorted by start, or null if invalid
+ */
+function normalizeBlackoutRanges(ranges) {
+  if (!Array.isArray(ranges)) {
+    return null;
+  }
+  const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+  if (ranges.some(range => !range || !isDate(range.start) || !isDate(range.end) || range.start > range.end)) {
+    return null;
+  }
+  return ranges
+    .map(range => ({ start: range.start, end: range.end, label: typeof range.label === 'string' && range.label.trim() ? range.label.trim() : 'Blackout' }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Default time-of-day windows for commits (working hours)
+ */
+const DEFAULT_TIME_WINDOWS = [{ start: '09:00', end: '18:00' }];
+
+/**
+ * Validate and normalize time-of-day windows for commits
+ * @param {Array<string|{start: string, end: string}>} windows - Windows as 'HH:MM-HH:MM' or { start, end } (end may be 24:00)
+ * @returns {Array<{start: string, end: string}>|null} - Windows sorted by start, or null if invalid or overlapping
+ */
+function normalizeTimeWindows(windows) {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return null;
+  }
+  const toMinutes = value => {
+    const match = typeof value === 'string' ? value.trim().match(/^(\d{1,2}):(\d{2})$/) : null;
+    if (!match || parseInt(match[2]) > 59) {
+      return null;
+    }
+    const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+    return minutes <= 24 * 60 ? minutes : null;
+  };
+  const pad = value => String(value).padStart(2, '0');
+  const format = minutes => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+  const ranges = [];
+  for (const window of windows) {
+    const [startValue, endValue] = typeof window === 'string' ? window.split('-') : [window && window.start, window && window.end];
+    const start = toMinutes(startValue);
+    const end = toMinutes(endValue);
+    if (start === null || end === null || start >= end) {
+      return null;
+    }
+    ranges.push({ start, end });
+  }
+  ranges.sort((a, b) => a.start - b.start);
+  if (ranges.some((range, i) => i > 0 && range.start < ranges[i - 1].end)) {
+    return null;
+  }
+  return ranges.map(range => ({ start: format(range.start), end: format(range.end) }));
+}
+
+/**
+ * Total length of time windows in seconds (wall-clock, ignoring DST changes)
+ * @param {Array<{start: string, end: string}>} windows - Normalized windows
+ * @returns {number} - Seconds
+ */
+function getTimeWindowSeconds(windows) {
+  const toSeconds = value => value.split(':').reduce((hours, minutes) => hours * 60 + Number(minutes), 0) * 60;
+  return windows.reduce((sum, window) => sum + toSeconds(window.end) - toSeconds(window.start), 0);
+}
+
+/**
+ * Check if a date falls on a non-working weekday
+ * @param {Date} date - The date to check
+ * @param {number[]} weekendDays - Weekday numbers to exclude (default: Sunday only)
+ * @returns {boolean} - True if the date is a weekend day
+ */
+function isWeekend(date, weekendDays = [0]) {
+  return weekendDays.includes(date.getDay());
+}
+
 /**
  * Country-specific holidays
- * Format: { month: 0-11, day: 1-31, name: string }
+ * Each entry is a rule that is resolved for the year being checked:
+ * - Fixed date:            { month: 0-11, day: 1-31, name }
+ * - Easter-relative:       { type: 'easter', offset?: days, calendar?: 'western'|'orthodox', name }
+ * - Nth weekday of month:  { type: 'nthWeekday', month: 0-11, weekday: 0-6, nth: 1-5, name }
+ * - Last weekday of month: { type: 'lastWeekday', month: 0-11, weekday: 0-6, name }
+ * - Weekday on/after date: { type: 'weekdayOnOrAfter', month: 0-11, day: 1-31, weekday: 0-6, name }
+ * - Weekday on/before date:{ type: 'weekdayOnOrBefore', month: 0-11, day: 1-31, weekday: 0-6, name }
+ * - Lunisolar date:        { type: 'lunar', calendar: 'chinese'|'dangi', month: 1-12, day: 1-30, name }
+ * - Islamic (Hijri) date:  { type: 'hijri', month: 1-12, day: 1-30, name } (may occur twice a year)
+ * - Solar term:            { type: 'solarTerm', longitude: degrees, utcOffset: hours, name }
+ * - Date table:            { type: 'table', dates: { [year]: 'MM-DD' }, name } (see lunarCalendar.js)
+ * - One-off date:          { type: 'date', date: 'YYYY-MM-DD', name } (custom holiday sets)
+ * Lunar and Hijri months are 1-based, unlike Gregorian months. Hijri dates use the
+ * Umm al-Qura calendar; countries that rely on moon sighting may differ by a day.
+ * Any rule may also set `offset` (days) to shift the resolved date, or `observe: false`
+ * to opt out of weekend observance shifting (see COUNTRY_OBSERVANCE).
  */
 const COUNTRY_HOLIDAYS = {
   'US': [
     { month: 0, day: 1, name: "New Year's Day" },
-    { month: 0, day: 15, name: "Martin Luther King Jr. Day" },
-    { month: 1, day: 19, name: "Presidents' Day" },
-    { month: 4, day: 27, name: "Memorial Day" },
+    { type: 'nthWeekday', month: 0, weekday: 1, nth: 3, name: "Martin Luther King Jr. Day" },
+    { type: 'nthWeekday', month: 1, weekday: 1, nth: 3, name: "Presidents' Day" },
+    { type: 'lastWeekday', month: 4, weekday: 1, name: "Memorial Day" },
     { month: 6, day: 4, name: "Independence Day" },
-    { month: 8, day: 2, name: "Labor Day" },
-    { month: 9, day: 8, name: "Columbus Day" },
+    { type: 'nthWeekday', month: 8, weekday: 1, nth: 1, name: "Labor Day" },
+    { type: 'nthWeekday', month: 9, weekday: 1, nth: 2, name: "Columbus Day" },
     { month: 10, day: 11, name: "Veterans Day" },
-    { month: 10, day: 22, name: "Thanksgiving" },
+    { type: 'nthWeekday', month: 10, weekday: 4, nth: 4, name: "Thanksgiving" },
     { month: 11, day: 25, name: "Christmas Day" },
   ],
   'UK': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 2, day: 17, name: "St. Patrick's Day" },
-    { month: 3, day: 1, name: "Easter Monday" },
-    { month: 4, day: 6, name: "Early May Bank Holiday" },
-    { month: 4, day: 27, name: "Spring Bank Holiday" },
-    { month: 7, day: 26, name: "Summer Bank Holiday" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
+    { type: 'nthWeekday', month: 4, weekday: 1, nth: 1, name: "Early May Bank Holiday" },
+    { type: 'lastWeekday', month: 4, weekday: 1, name: "Spring Bank Holiday" },
+    { type: 'lastWeekday', month: 7, weekday: 1, name: "Summer Bank Holiday" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
   ],
   'CA': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 2, day: 17, name: "St. Patrick's Day" },
-    { month: 3, day: 1, name: "Easter Monday" },
-    { month: 4, day: 20, name: "Victoria Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
+    { type: 'weekdayOnOrBefore', month: 4, day: 24, weekday: 1, name: "Victoria Day" },
     { month: 6, day: 1, name: "Canada Day" },
-    { month: 8, day: 2, name: "Labour Day" },
-    { month: 9, day: 8, name: "Thanksgiving" },
+    { type: 'nthWeekday', month: 8, weekday: 1, nth: 1, name: "Labour Day" },
+    { type: 'nthWeekday', month: 9, weekday: 1, nth: 2, name: "Thanksgiving" },
     { month: 10, day: 11, name: "Remembrance Day" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
@@ -53,23 +190,31 @@ const COUNTRY_HOLIDAYS = {
   'AU': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 0, day: 26, name: "Australia Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 3, day: 25, name: "Anzac Day" },
-    { month: 5, day: 10, name: "Queen's Birthday" },
+    { type: 'nthWeekday', month: 5, weekday: 1, nth: 2, name: "King's Birthday" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
   ],
   'DE': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 4, day: 1, name: "Labour Day" },
+    { type: 'easter', offset: 39, name: "Ascension Day" },
+    { type: 'easter', offset: 50, name: "Whit Monday" },
     { month: 9, day: 3, name: "Day of German Unity" },
-    { month: 10, day: 1, name: "Reformation Day" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
   ],
   'FR': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 4, day: 8, name: "Victory in Europe Day" },
+    { type: 'easter', offset: 39, name: "Ascension Day" },
+    { type: 'easter', offset: 50, name: "Whit Monday" },
     { month: 6, day: 14, name: "Bastille Day" },
     { month: 7, day: 15, name: "Assumption Day" },
     { month: 10, day: 1, name: "All Saints' Day" },
@@ -78,32 +223,41 @@ const COUNTRY_HOLIDAYS = {
   ],
   'JP': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'nthWeekday', month: 0, weekday: 1, nth: 2, name: "Coming of Age Day" },
     { month: 1, day: 11, name: "Foundation Day" },
-    { month: 2, day: 20, name: "Vernal Equinox Day" },
+    { type: 'solarTerm', longitude: 0, utcOffset: 9, name: "Vernal Equinox Day" },
     { month: 3, day: 29, name: "Showa Day" },
     { month: 4, day: 3, name: "Constitution Memorial Day" },
     { month: 4, day: 4, name: "Greenery Day" },
     { month: 4, day: 5, name: "Children's Day" },
-    { month: 6, day: 15, name: "Marine Day" },
+    { type: 'nthWeekday', month: 6, weekday: 1, nth: 3, name: "Marine Day" },
     { month: 7, day: 11, name: "Mountain Day" },
-    { month: 8, day: 16, name: "Respect for the Aged Day" },
-    { month: 8, day: 22, name: "Autumnal Equinox Day" },
-    { month: 9, day: 8, name: "Sports Day" },
+    { type: 'nthWeekday', month: 8, weekday: 1, nth: 3, name: "Respect for the Aged Day" },
+    { type: 'solarTerm', longitude: 180, utcOffset: 9, name: "Autumnal Equinox Day" },
+    { type: 'nthWeekday', month: 9, weekday: 1, nth: 2, name: "Sports Day" },
     { month: 10, day: 3, name: "Culture Day" },
     { month: 10, day: 23, name: "Labour Thanksgiving Day" },
     { month: 11, day: 23, name: "Emperor's Birthday" },
   ],
   'IN': [
     { month: 0, day: 26, name: "Republic Day" },
+    { type: 'table', dates: HINDU_FESTIVAL_DATES.holi, name: "Holi" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'hijri', month: 10, day: 1, name: "Eid al-Fitr" },
+    { type: 'hijri', month: 12, day: 10, name: "Eid al-Adha" },
     { month: 7, day: 15, name: "Independence Day" },
     { month: 9, day: 2, name: "Gandhi Jayanti" },
-    { month: 9, day: 31, name: "Diwali" },
+    { type: 'table', dates: HINDU_FESTIVAL_DATES.diwali, name: "Diwali" },
+    { month: 11, day: 25, name: "Christmas Day" },
   ],
   'BR': [
     { month: 0, day: 1, name: "New Year's Day" },
-    { month: 1, day: 20, name: "Carnival" },
+    { type: 'easter', offset: -48, name: "Carnival Monday" },
+    { type: 'easter', offset: -47, name: "Carnival" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
     { month: 3, day: 21, name: "Tiradentes Day" },
     { month: 4, day: 1, name: "Labour Day" },
+    { type: 'easter', offset: 60, name: "Corpus Christi" },
     { month: 8, day: 7, name: "Independence Day" },
     { month: 9, day: 12, name: "Our Lady of Aparecida" },
     { month: 10, day: 2, name: "All Souls' Day" },
@@ -112,29 +266,43 @@ const COUNTRY_HOLIDAYS = {
   ],
   'MX': [
     { month: 0, day: 1, name: "New Year's Day" },
-    { month: 1, day: 5, name: "Constitution Day" },
-    { month: 2, day: 21, name: "Benito Juárez Day" },
+    { type: 'nthWeekday', month: 1, weekday: 1, nth: 1, name: "Constitution Day" },
+    { type: 'nthWeekday', month: 2, weekday: 1, nth: 3, name: "Benito Juárez Day" },
+    { type: 'easter', offset: -3, name: "Maundy Thursday" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 8, day: 16, name: "Independence Day" },
     { month: 10, day: 2, name: "Day of the Dead" },
-    { month: 10, day: 20, name: "Revolution Day" },
+    { type: 'nthWeekday', month: 10, weekday: 1, nth: 3, name: "Revolution Day" },
     { month: 11, day: 25, name: "Christmas Day" },
   ],
   'CN': [
     { month: 0, day: 1, name: "New Year's Day" },
-    { month: 1, day: 10, name: "Spring Festival (Chinese New Year)" },
-    { month: 3, day: 4, name: "Qingming Festival" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 1, offset: -1, name: "Spring Festival Eve" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 1, name: "Spring Festival (Chinese New Year)" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 2, name: "Spring Festival Day 2" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 3, name: "Spring Festival Day 3" },
+    { type: 'solarTerm', longitude: 15, utcOffset: 8, name: "Qingming Festival" },
     { month: 4, day: 1, name: "Labour Day" },
-    { month: 4, day: 4, name: "Dragon Boat Festival" },
-    { month: 9, day: 1, name: "Mid-Autumn Festival" },
+    { type: 'lunar', calendar: 'chinese', month: 5, day: 5, name: "Dragon Boat Festival" },
+    { type: 'lunar', calendar: 'chinese', month: 8, day: 15, name: "Mid-Autumn Festival" },
     { month: 9, day: 1, name: "National Day" },
+    { month: 9, day: 2, name: "National Day Holiday" },
+    { month: 9, day: 3, name: "National Day Holiday" },
   ],
   'KR': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'lunar', calendar: 'dangi', month: 1, day: 1, offset: -1, name: "Seollal Holiday" },
+    { type: 'lunar', calendar: 'dangi', month: 1, day: 1, name: "Seollal" },
+    { type: 'lunar', calendar: 'dangi', month: 1, day: 2, name: "Seollal Holiday" },
     { month: 2, day: 1, name: "Independence Movement Day" },
     { month: 4, day: 5, name: "Children's Day" },
+    { type: 'lunar', calendar: 'dangi', month: 4, day: 8, name: "Buddha's Birthday" },
     { month: 5, day: 6, name: "Memorial Day" },
     { month: 7, day: 15, name: "Liberation Day" },
+    { type: 'lunar', calendar: 'dangi', month: 8, day: 14, name: "Chuseok Holiday" },
+    { type: 'lunar', calendar: 'dangi', month: 8, day: 15, name: "Chuseok" },
+    { type: 'lunar', calendar: 'dangi', month: 8, day: 16, name: "Chuseok Holiday" },
     { month: 9, day: 3, name: "National Foundation Day" },
     { month: 9, day: 9, name: "Hangul Day" },
     { month: 11, day: 25, name: "Christmas Day" },
@@ -142,6 +310,7 @@ const COUNTRY_HOLIDAYS = {
   'IT': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 0, day: 6, name: "Epiphany" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 3, day: 25, name: "Liberation Day" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 5, day: 2, name: "Republic Day" },
@@ -155,6 +324,7 @@ const COUNTRY_HOLIDAYS = {
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 0, day: 6, name: "Epiphany" },
     { month: 3, day: 19, name: "St. Joseph's Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 9, day: 12, name: "National Day" },
     { month: 10, day: 1, name: "All Saints' Day" },
@@ -175,6 +345,8 @@ const COUNTRY_HOLIDAYS = {
   'ZA': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 2, day: 21, name: "Human Rights Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Family Day" },
     { month: 3, day: 27, name: "Freedom Day" },
     { month: 4, day: 1, name: "Workers' Day" },
     { month: 5, day: 16, name: "Youth Day" },
@@ -186,8 +358,11 @@ const COUNTRY_HOLIDAYS = {
   ],
   'AR': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'easter', offset: -48, name: "Carnival Monday" },
+    { type: 'easter', offset: -47, name: "Carnival Tuesday" },
     { month: 2, day: 24, name: "Truth and Justice Memorial Day" },
     { month: 3, day: 2, name: "Malvinas Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 4, day: 25, name: "May Revolution" },
     { month: 5, day: 20, name: "Flag Day" },
@@ -199,6 +374,8 @@ const COUNTRY_HOLIDAYS = {
   ],
   'CL': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: -1, name: "Holy Saturday" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 4, day: 21, name: "Navy Day" },
     { month: 6, day: 16, name: "Our Lady of Mount Carmel" },
@@ -211,33 +388,47 @@ const COUNTRY_HOLIDAYS = {
   ],
   'NL': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 3, day: 27, name: "King's Day" },
     { month: 4, day: 5, name: "Liberation Day" },
+    { type: 'easter', offset: 39, name: "Ascension Day" },
+    { type: 'easter', offset: 50, name: "Whit Monday" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
   ],
   'SE': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 0, day: 6, name: "Epiphany" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 4, day: 1, name: "Labour Day" },
+    { type: 'easter', offset: 39, name: "Ascension Day" },
     { month: 5, day: 6, name: "National Day" },
-    { month: 5, day: 24, name: "Midsummer Eve" },
+    { type: 'weekdayOnOrAfter', month: 5, day: 19, weekday: 5, name: "Midsummer Eve" },
     { month: 10, day: 1, name: "All Saints' Day" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
   ],
   'NO': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'easter', offset: -3, name: "Maundy Thursday" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 4, day: 17, name: "Constitution Day" },
+    { type: 'easter', offset: 39, name: "Ascension Day" },
+    { type: 'easter', offset: 50, name: "Whit Monday" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
   ],
   'PL': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 0, day: 6, name: "Epiphany" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 4, day: 3, name: "Constitution Day" },
+    { type: 'easter', offset: 60, name: "Corpus Christi" },
     { month: 6, day: 15, name: "Assumption Day" },
     { month: 10, day: 1, name: "All Saints' Day" },
     { month: 10, day: 11, name: "Independence Day" },
@@ -254,38 +445,67 @@ const COUNTRY_HOLIDAYS = {
   ],
   'SA': [
     { month: 1, day: 22, name: "Founding Day" },
+    { type: 'hijri', month: 10, day: 1, name: "Eid al-Fitr" },
+    { type: 'hijri', month: 10, day: 2, name: "Eid al-Fitr Holiday" },
+    { type: 'hijri', month: 10, day: 3, name: "Eid al-Fitr Holiday" },
+    { type: 'hijri', month: 12, day: 9, name: "Arafat Day" },
+    { type: 'hijri', month: 12, day: 10, name: "Eid al-Adha" },
+    { type: 'hijri', month: 12, day: 11, name: "Eid al-Adha Holiday" },
+    { type: 'hijri', month: 12, day: 12, name: "Eid al-Adha Holiday" },
     { month: 8, day: 23, name: "National Day" },
   ],
   'AE': [
     { month: 0, day: 1, name: "New Year's Day" },
-    { month: 7, day: 30, name: "Hijri New Year" },
-    { month: 9, day: 2, name: "Prophet's Birthday" },
+    { type: 'hijri', month: 10, day: 1, name: "Eid al-Fitr" },
+    { type: 'hijri', month: 10, day: 2, name: "Eid al-Fitr Holiday" },
+    { type: 'hijri', month: 10, day: 3, name: "Eid al-Fitr Holiday" },
+    { type: 'hijri', month: 12, day: 9, name: "Arafat Day" },
+    { type: 'hijri', month: 12, day: 10, name: "Eid al-Adha" },
+    { type: 'hijri', month: 12, day: 11, name: "Eid al-Adha Holiday" },
+    { type: 'hijri', month: 12, day: 12, name: "Eid al-Adha Holiday" },
+    { type: 'hijri', month: 1, day: 1, name: "Hijri New Year" },
+    { type: 'hijri', month: 3, day: 12, name: "Prophet's Birthday" },
     { month: 11, day: 1, name: "National Day" },
     { month: 11, day: 2, name: "National Day Holiday" },
   ],
   'SG': [
     { month: 0, day: 1, name: "New Year's Day" },
-    { month: 1, day: 10, name: "Chinese New Year" },
-    { month: 1, day: 11, name: "Chinese New Year Day 2" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 1, name: "Chinese New Year" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 2, name: "Chinese New Year Day 2" },
+    { type: 'hijri', month: 10, day: 1, name: "Hari Raya Puasa" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 7, day: 9, name: "National Day" },
+    { type: 'hijri', month: 12, day: 10, name: "Hari Raya Haji" },
+    { type: 'table', dates: HINDU_FESTIVAL_DATES.diwali, name: "Deepavali" },
     { month: 11, day: 25, name: "Christmas Day" },
   ],
   'PH': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 1, day: 25, name: "People Power Revolution" },
     { month: 3, day: 9, name: "Day of Valor" },
+    { type: 'easter', offset: -3, name: "Maundy Thursday" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 5, day: 12, name: "Independence Day" },
-    { month: 7, day: 26, name: "National Heroes Day" },
+    { type: 'lastWeekday', month: 7, weekday: 1, name: "National Heroes Day" },
     { month: 10, day: 30, name: "Bonifacio Day" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 30, name: "Rizal Day" },
   ],
   'ID': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 1, name: "Chinese New Year" },
+    { type: 'hijri', month: 7, day: 27, name: "Isra Mi'raj" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'hijri', month: 10, day: 1, name: "Eid al-Fitr" },
+    { type: 'hijri', month: 10, day: 2, name: "Eid al-Fitr Day 2" },
     { month: 4, day: 1, name: "Labour Day" },
+    { type: 'easter', offset: 39, name: "Ascension Day" },
+    { month: 5, day: 1, name: "Pancasila Day" },
+    { type: 'hijri', month: 12, day: 10, name: "Eid al-Adha" },
+    { type: 'hijri', month: 1, day: 1, name: "Islamic New Year" },
     { month: 7, day: 17, name: "Independence Day" },
+    { type: 'hijri', month: 3, day: 12, name: "Prophet's Birthday" },
     { month: 11, day: 25, name: "Christmas Day" },
   ],
   'TH': [
@@ -301,8 +521,11 @@ const COUNTRY_HOLIDAYS = {
   ],
   'VN': [
     { month: 0, day: 1, name: "New Year's Day" },
-    { month: 1, day: 10, name: "Tet Holiday" },
-    { month: 3, day: 30, name: "Hung Kings Festival" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 1, offset: -1, name: "Tet Eve" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 1, name: "Tet Holiday" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 2, name: "Tet Day 2" },
+    { type: 'lunar', calendar: 'chinese', month: 1, day: 3, name: "Tet Day 3" },
+    { type: 'lunar', calendar: 'chinese', month: 3, day: 10, name: "Hung Kings Festival" },
     { month: 3, day: 30, name: "Liberation Day" },
     { month: 4, day: 1, name: "Labour Day" },
     { month: 8, day: 2, name: "National Day" },
@@ -311,23 +534,32 @@ const COUNTRY_HOLIDAYS = {
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 0, day: 2, name: "Day after New Year's Day" },
     { month: 1, day: 6, name: "Waitangi Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 3, day: 25, name: "Anzac Day" },
-    { month: 5, day: 3, name: "Queen's Birthday" },
-    { month: 9, day: 23, name: "Labour Day" },
+    { type: 'nthWeekday', month: 5, weekday: 1, nth: 1, name: "King's Birthday" },
+    { type: 'nthWeekday', month: 9, weekday: 1, nth: 4, name: "Labour Day" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
   ],
   'CH': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 0, day: 2, name: "Berchtold's Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 4, day: 1, name: "Labour Day" },
+    { type: 'easter', offset: 39, name: "Ascension Day" },
+    { type: 'easter', offset: 50, name: "Whit Monday" },
     { month: 7, day: 1, name: "Swiss National Day" },
     { month: 11, day: 25, name: "Christmas Day" },
     { month: 11, day: 26, name: "Boxing Day" },
   ],
   'BE': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'easter', offset: 1, name: "Easter Monday" },
     { month: 4, day: 1, name: "Labour Day" },
+    { type: 'easter', offset: 39, name: "Ascension Day" },
+    { type: 'easter', offset: 50, name: "Whit Monday" },
     { month: 6, day: 21, name: "National Day" },
     { month: 7, day: 15, name: "Assumption Day" },
     { month: 10, day: 1, name: "All Saints' Day" },
@@ -336,8 +568,10 @@ const COUNTRY_HOLIDAYS = {
   ],
   'PT': [
     { month: 0, day: 1, name: "New Year's Day" },
+    { type: 'easter', offset: -2, name: "Good Friday" },
     { month: 3, day: 25, name: "Freedom Day" },
     { month: 4, day: 1, name: "Labour Day" },
+    { type: 'easter', offset: 60, name: "Corpus Christi" },
     { month: 5, day: 10, name: "Portugal Day" },
     { month: 7, day: 15, name: "Assumption Day" },
     { month: 9, day: 5, name: "Republic Day" },
@@ -349,8 +583,12 @@ const COUNTRY_HOLIDAYS = {
   'GR': [
     { month: 0, day: 1, name: "New Year's Day" },
     { month: 0, day: 6, name: "Epiphany" },
+    { type: 'easter', calendar: 'orthodox', offset: -48, name: "Clean Monday" },
     { month: 2, day: 25, name: "Independence Day" },
+    { type: 'easter', calendar: 'orthodox', offset: -2, name: "Orthodox Good Friday" },
+    { type: 'easter', calendar: 'orthodox', offset: 1, name: "Orthodox Easter Monday" },
     { month: 4, day: 1, name: "Labour Day" },
+    { type: 'easter', calendar: 'orthodox', offset: 50, name: "Orthodox Whit Monday" },
     { month: 7, day: 15, name: "Assumption Day" },
     { month: 9, day: 28, name: "Ochi Day" },
     { month: 11, day: 25, name: "Christmas Day" },
@@ -360,67 +598,725 @@ const COUNTRY_HOLIDAYS = {
 };
 
 /**
- * Get holidays for a specific country
- * @param {string} countryCode - Country code (e.g., 'US', 'UK', 'CA')
- * @returns {Array} - Array of holidays for the country
+ * Sub-national (state/province) holidays, layered on top of the parent country's list
+ * Codes are `${countryCode}-${subdivision}` and entries use the same rule format as COUNTRY_HOLIDAYS
+ */
+const REGIONAL_HOLIDAYS = {
+  // United States
+  'US-CA': {
+    name: 'California',
+    holidays: [
+      { month: 2, day: 31, name: "César Chávez Day" },
+      { type: 'nthWeekday', month: 10, weekday: 4, nth: 4, offset: 1, name: "Day after Thanksgiving" },
+    ]
+  },
+  'US-IL': {
+    name: 'Illinois',
+    holidays: [
+      { month: 1, day: 12, name: "Lincoln's Birthday" },
+      { month: 5, day: 19, name: "Juneteenth" },
+      { type: 'nthWeekday', month: 10, weekday: 4, nth: 4, offset: 1, name: "Day after Thanksgiving" },
+    ]
+  },
+  'US-MA': {
+    name: 'Massachusetts',
+    holidays: [
+      { type: 'nthWeekday', month: 3, weekday: 1, nth: 3, name: "Patriots' Day" },
+      { month: 5, day: 19, name: "Juneteenth" },
+    ]
+  },
+  'US-NY': {
+    name: 'New York',
+    holidays: [
+      { month: 1, day: 12, name: "Lincoln's Birthday" },
+      { month: 5, day: 19, name: "Juneteenth" },
+    ]
+  },
+  'US-TX': {
+    name: 'Texas',
+    holidays: [
+      { month: 2, day: 2, name: "Texas Independence Day" },
+      { month: 3, day: 21, name: "San Jacinto Day" },
+      { month: 5, day: 19, name: "Emancipation Day" },
+      { month: 7, day: 27, name: "Lyndon Baines Johnson Day" },
+      { type: 'nthWeekday', month: 10, weekday: 4, nth: 4, offset: 1, name: "Day after Thanksgiving" },
+    ]
+  },
+  'US-WA': {
+    name: 'Washington',
+    holidays: [
+      { month: 5, day: 19, name: "Juneteenth" },
+      { type: 'nthWeekday', month: 10, weekday: 4, nth: 4, offset: 1, name: "Native American Heritage Day" },
+    ]
+  },
+  
+  // Canada
+  'CA-AB': {
+    name: 'Alberta',
+    holidays: [
+      { type: 'nthWeekday', month: 1, weekday: 1, nth: 3, name: "Family Day" },
+      { type: 'nthWeekday', month: 7, weekday: 1, nth: 1, name: "Heritage Day" },
+    ]
+  },
+  'CA-BC': {
+    name: 'British Columbia',
+    holidays: [
+      { type: 'nthWeekday', month: 1, weekday: 1, nth: 3, name: "Family Day" },
+      { type: 'nthWeekday', month: 7, weekday: 1, nth: 1, name: "British Columbia Day" },
+      { month: 8, day: 30, name: "National Day for Truth and Reconciliation" },
+    ]
+  },
+  'CA-MB': {
+    name: 'Manitoba',
+    holidays: [
+      { type: 'nthWeekday', month: 1, weekday: 1, nth: 3, name: "Louis Riel Day" },
+      { month: 8, day: 30, name: "National Day for Truth and Reconciliation" },
+    ]
+  },
+  'CA-NS': {
+    name: 'Nova Scotia',
+    holidays: [
+      { type: 'nthWeekday', month: 1, weekday: 1, nth: 3, name: "Heritage Day" },
+    ]
+  },
+  'CA-ON': {
+    name: 'Ontario',
+    holidays: [
+      { type: 'nthWeekday', month: 1, weekday: 1, nth: 3, name: "Family Day" },
+      { type: 'nthWeekday', month: 7, weekday: 1, nth: 1, name: "Civic Holiday" },
+    ]
+  },
+  'CA-QC': {
+    name: 'Quebec',
+    holidays: [
+      { month: 5, day: 24, name: "Saint-Jean-Baptiste Day" },
+    ]
+  },
+  
+  // Germany
+  'DE-BB': {
+    name: 'Brandenburg',
+    holidays: [
+      { month: 9, day: 31, name: "Reformation Day" },
+    ]
+  },
+  'DE-BE': {
+    name: 'Berlin',
+    holidays: [
+      { month: 2, day: 8, name: "International Women's Day" },
+    ]
+  },
+  'DE-BW': {
+    name: 'Baden-Württemberg',
+    holidays: [
+      { month: 0, day: 6, name: "Epiphany" },
+      { type: 'easter', offset: 60, name: "Corpus Christi" },
+      { month: 10, day: 1, name: "All Saints' Day" },
+    ]
+  },
+  'DE-BY': {
+    name: 'Bavaria',
+    holidays: [
+      { month: 0, day: 6, name: "Epiphany" },
+      { type: 'easter', offset: 60, name: "Corpus Christi" },
+      { month: 7, day: 15, name: "Assumption Day" },
+      { month: 10, day: 1, name: "All Saints' Day" },
+    ]
+  },
+  'DE-HB': {
+    name: 'Bremen',
+    holidays: [
+      { month: 9, day: 31, name: "Reformation Day" },
+    ]
+  },
+  'DE-HE': {
+    name: 'Hesse',
+    holidays: [
+      { type: 'easter', offset: 60, name: "Corpus Christi" },
+    ]
+  },
+  'DE-HH': {
+    name: 'Hamburg',
+    holidays: [
+      { month: 9, day: 31, name: "Reformation Day" },
+    ]
+  },
+  'DE-MV': {
+    name: 'Mecklenburg-Vorpommern',
+    holidays: [
+      { month: 2, day: 8, name: "International Women's Day" },
+      { month: 9, day: 31, name: "Reformation Day" },
+    ]
+  },
+  'DE-NI': {
+    name: 'Lower Saxony',
+    holidays: [
+      { month: 9, day: 31, name: "Reformation Day" },
+    ]
+  },
+  'DE-NW': {
+    name: 'North Rhine-Westphalia',
+    holidays: [
+      { type: 'easter', offset: 60, name: "Corpus Christi" },
+      { month: 10, day: 1, name: "All Saints' Day" },
+    ]
+  },
+  'DE-RP': {
+    name: 'Rhineland-Palatinate',
+    holidays: [
+      { type: 'easter', offset: 60, name: "Corpus Christi" },
+      { month: 10, day: 1, name: "All Saints' Day" },
+    ]
+  },
+  'DE-SH': {
+    name: 'Schleswig-Holstein',
+    holidays: [
+      { month: 9, day: 31, name: "Reformation Day" },
+    ]
+  },
+  'DE-SL': {
+    name: 'Saarland',
+    holidays: [
+      { type: 'easter', offset: 60, name: "Corpus Christi" },
+      { month: 7, day: 15, name: "Assumption Day" },
+      { month: 10, day: 1, name: "All Saints' Day" },
+    ]
+  },
+  'DE-SN': {
+    name: 'Saxony',
+    holidays: [
+      { month: 9, day: 31, name: "Reformation Day" },
+      { type: 'weekdayOnOrBefore', month: 10, day: 22, weekday: 3, name: "Repentance and Prayer Day" },
+    ]
+  },
+  'DE-ST': {
+    name: 'Saxony-Anhalt',
+    holidays: [
+      { month: 0, day: 6, name: "Epiphany" },
+      { month: 9, day: 31, name: "Reformation Day" },
+    ]
+  },
+  'DE-TH': {
+    name: 'Thuringia',
+    holidays: [
+      { month: 8, day: 20, name: "World Children's Day" },
+      { month: 9, day: 31, name: "Reformation Day" },
+    ]
+  },
+};
+
+/**
+ * Observance rules for holidays that fall on a weekend
+ * 'previous' observes a Saturday holiday on the Friday before; 'next' observes it on the
+ * next weekday that is not already a holiday. Regions use their country's rule, and a
+ * holiday rule can opt out with `observe: false`. Countries not listed do not shift holidays.
+ */
+const COUNTRY_OBSERVANCE = {
+  'US': { saturday: 'previous', sunday: 'next' },
+  'UK': { saturday: 'next', sunday: 'next' },
+  'CA': { saturday: 'next', sunday: 'next' },
+  'AU': { saturday: 'next', sunday: 'next' },
+  'NZ': { saturday: 'next', sunday: 'next' },
+  'ZA': { sunday: 'next' },
+  'JP': { sunday: 'next' },
+  'SG': { sunday: 'next' },
+};
+
+/**
+ * Get the weekend observance rule for a country or region
+ * @param {string} countryCode - Country or region code
+ * @returns {Object|null} - Observance rule ({ saturday, sunday }) or null if holidays are not shifted
+ */
+function getObservanceRule(countryCode) {
+  return COUNTRY_OBSERVANCE[getParentCountryCode(countryCode)] || null;
+}
+
+/**
+ * Get the parent country code of a country or region code
+ * @param {string} code - Country code (e.g., 'US') or region code (e.g., 'US-CA')
+ * @returns {string} - Country code
+ */
+function getParentCountryCode(code) {
+  return REGIONAL_HOLIDAYS[code] ? code.split('-')[0] : code;
+}
+
+/**
+ * Get holidays for a specific country or region
+ * Region codes return the national holidays followed by the regional ones.
+ * @param {string} countryCode - Country code (e.g., 'US', 'UK', 'CA') or region code (e.g., 'US-CA', 'DE-BY')
+ * @returns {Array} - Array of holiday rules for the country or region
  */
 function getHolidaysForCountry(countryCode) {
+  const region = REGIONAL_HOLIDAYS[countryCode];
+  if (region) {
+    return [...getHolidaysForCountry(getParentCountryCode(countryCode)), ...region.holidays];
+  }
   return COUNTRY_HOLIDAYS[countryCode] || COUNTRY_HOLIDAYS['NONE'];
 }
 
+/**
+ * Check whether a country or region code is supported
+ * @param {string} code - Country or region code
+ * @returns {boolean}
+ */
+function isValidCountryCode(code) {
+  return Boolean(COUNTRY_HOLIDAYS[code] || REGIONAL_HOLIDAYS[code]);
+}
+
+/**
+ * Calculate Easter Sunday for a year
+ * Western dates use the anonymous Gregorian algorithm; Orthodox dates use the
+ * Julian computus shifted onto the Gregorian calendar.
+ * @param {number} year - Full year (e.g., 2024)
+ * @param {string} calendar - 'western' or 'orthodox' (default: 'western')
+ * @returns {Date} - Easter Sunday at local midnight
+ */
+function getEasterSunday(year, calendar = 'western') {
+  if (calendar === 'orthodox') {
+    const a = year % 4;
+    const b = year % 7;
+    const c = year % 19;
+    const d = (19 * c + 15) % 30;
+    const e = (2 * a + 4 * b - d + 34) % 7;
+    const month = Math.floor((d + e + 114) / 31);
+    const day = ((d + e + 114) % 31) + 1;
+    // Difference between the Julian and Gregorian calendars (13 days for 1900-2099)
+    const julianOffset = Math.floor(year / 100) - Math.floor(year / 400) - 2;
+    return new Date(year, month - 1, day + julianOffset);
+  }
+  
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the nth occurrence of a weekday in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday, 6 = Saturday)
+ * @param {number} nth - Occurrence (1 = first)
+ * @returns {Date|null} - The date, or null if the month has no such occurrence
+ */
+function getNthWeekdayOfMonth(year, month, weekday, nth) {
+  const first = new Date(year, month, 1);
+  const day = 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7;
+  const date = new Date(year, month, day);
+  return date.getMonth() === month ? date : null;
+}
+
+/**
+ * Get the last occurrence of a weekday in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday, 6 = Saturday)
+ * @returns {Date}
+ */
+function getLastWeekdayOfMonth(year, month, weekday) {
+  const last = new Date(year, month + 1, 0);
+  return new Date(year, month, last.getDate() - ((last.getDay() - weekday + 7) % 7));
+}
+
+/**
+ * Resolve a holiday rule to a concrete date in the given year
+ * Any rule may carry an `offset` in days (e.g., the day after Thanksgiving).
+ * @param {Object} rule - Holiday rule (see COUNTRY_HOLIDAYS)
+ * @param {number} year - Full year
+ * @returns {Date|Date[]|null} - The holiday date (lunar and Hijri rules return every
+ *   candidate date around the year), or null if the rule does not apply that year
+ */
+function resolveHolidayRule(rule, year) {
+  let date;
+  switch (rule.type) {
+    case 'easter':
+      date = getEasterSunday(year, rule.calendar);
+      break;
+    case 'nthWeekday':
+      date = getNthWeekdayOfMonth(year, rule.month, rule.weekday, rule.nth);
+      break;
+    case 'lastWeekday':
+      date = getLastWeekdayOfMonth(year, rule.month, rule.weekday);
+      break;
+    case 'weekdayOnOrAfter': {
+      const anchor = new Date(year, rule.month, rule.day);
+      date = new Date(year, rule.month, rule.day + ((rule.weekday - anchor.getDay() + 7) % 7));
+      break;
+    }
+    case 'weekdayOnOrBefore': {
+      const anchor = new Date(year, rule.month, rule.day);
+      date = new Date(year, rule.month, rule.day - ((anchor.getDay() - rule.weekday + 7) % 7));
+      break;
+    }
+    case 'lunar':
+    case 'hijri':
+      // Lunar years do not line up with Gregorian ones, so resolve every match
+      // near this year and let the caller keep the ones that fall inside it
+      return findCalendarDates(rule.type === 'hijri' ? 'hijri' : rule.calendar, year, rule.month, rule.day)
+        .map(match => rule.offset ? new Date(match.getFullYear(), match.getMonth(), match.getDate() + rule.offset) : match);
+    case 'solarTerm':
+      date = getSolarTermDate(year, rule.longitude, rule.utcOffset);
+      break;
+    case 'table':
+      date = getTableDate(rule.dates, year, rule.name);
+      break;
+    case 'date': {
+      const [dateYear, month, day] = rule.date.split('-').map(Number);
+      date = dateYear === year ? new Date(dateYear, month - 1, day) : null;
+      break;
+    }
+    case 'fixed':
+    case undefined:
+      date = new Date(year, rule.month, rule.day);
+      break;
+    default:
+      console.warn(`[HOLIDAYS] Unknown holiday rule type: ${rule.type}`);
+      return null;
+  }
+  
+  if (!date) {
+    return null;
+  }
+  return rule.offset ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + rule.offset) : date;
+}
+
+const HOLIDAY_RULE_FIELDS = {
+  fixed: ['month', 'day'],
+  easter: [],
+  nthWeekday: ['month', 'weekday', 'nth'],
+  lastWeekday: ['month', 'weekday'],
+  weekdayOnOrAfter: ['month', 'day', 'weekday'],
+  weekdayOnOrBefore: ['month', 'day', 'weekday'],
+  lunar: ['month', 'day'],
+  hijri: ['month', 'day'],
+  solarTerm: ['longitude'],
+  date: []
+};
+
+const HOLIDAY_FIELD_RANGES = {
+  month: [0, 11],
+  day: [1, 31],
+  weekday: [0, 6],
+  nth: [1, 5],
+  longitude: [0, 359]
+};
+
+/**
+ * Validate a user-supplied holiday rule (e.g., from a custom holiday set)
+ * Date tables are not accepted here since they are bundled with the app.
+ * @param {Object} rule - Holiday rule (see COUNTRY_HOLIDAYS)
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+function validateHolidayRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return 'Holiday must be an object';
+  }
+  if (typeof rule.name !== 'string' || rule.name.trim().length === 0) {
+    return 'Holiday name is required';
+  }
+  
+  const type = rule.type || 'fixed';
+  const fields = HOLIDAY_RULE_FIELDS[type];
+  if (!fields) {
+    return `Unknown holiday rule type: ${type}`;
+  }
+  
+  for (const field of fields) {
+    // Lunar and Hijri months are 1-based
+    const [min, max] = field === 'month' && (type === 'lunar' || type === 'hijri') ? [1, 12] : HOLIDAY_FIELD_RANGES[field];
+    if (!Number.isInteger(rule[field]) || rule[field] < min || rule[field] > max) {
+      return `${rule.name}: ${field} must be a whole number from ${min} to ${max}`;
+    }
+  }
+  
+  if (type === 'lunar' && !['chinese', 'dangi'].includes(rule.calendar)) {
+    return `${rule.name}: calendar must be 'chinese' or 'dangi'`;
+  }
+  if (type === 'easter' && rule.calendar !== undefined && !['western', 'orthodox'].includes(rule.calendar)) {
+    return `${rule.name}: calendar must be 'western' or 'orthodox'`;
+  }
+  if (type === 'date' && (typeof rule.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(rule.date) || isNaN(new Date(rule.date).getTime()))) {
+    return `${rule.name}: date must be in YYYY-MM-DD format`;
+  }
+  if (rule.offset !== undefined && (!Number.isInteger(rule.offset) || Math.abs(rule.offset) > 366)) {
+    return `${rule.name}: offset must be a whole number of days`;
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve custom holiday rules (e.g., company holiday sets) within a date range
+ * No observance shifting is applied; custom holidays fall exactly where they are defined.
+ * @param {Array<Object>} rules - Holiday rules (see COUNTRY_HOLIDAYS)
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {Array<{date: string, name: string}>} - Holidays in range, sorted by date
+ */
+function getCustomHolidaysInRange(rules, startDate, endDate) {
+  const start = formatDate(startDate);
+  const end = formatDate(endDate);
+  const holidays = [];
+  
+  for (let year = startDate.getFullYear(); year <= endDate.getFullYear(); year++) {
+    rules.forEach(rule => {
+      [].concat(resolveHolidayRule(rule, year) || []).forEach(date => {
+        const dateStr = formatDate(date);
+        if (dateStr >= start && dateStr <= end) {
+          holidays.push({ ...(rule.set ? { set: rule.set } : {}), date: dateStr, name: rule.name });
+        }
+      });
+    });
+  }
+  
+  return holidays
+    .filter((holiday, index, all) => all.findIndex(h => h.date === holiday.date && h.name === holiday.name) === index)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Resolve every holiday rule of a country for one year, without observance shifting
+ * @param {string} countryCode - Country or region code
+ * @param {number} year - Full year
+ * @returns {Array<{date: string, name: string}>} - Holidays sorted by date
+ */
+function resolveHolidaysForYear(countryCode, year) {
+  return getHolidaysForCountry(countryCode)
+    .flatMap(rule => {
+      const dates = [].concat(resolveHolidayRule(rule, year) || []);
+      return dates.map(date => ({ date: formatDate(date), name: rule.name, observe: rule.observe !== false }));
+    })
+    .filter(holiday => holiday.date.startsWith(`${year}-`))
+    .filter((holiday, index, all) => all.findIndex(h => h.date === holiday.date && h.name === holiday.name) === index)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Shift holidays that fall on a Saturday or Sunday to their observed weekday
+ * 'previous' moves the holiday to the Friday before; 'next' moves it to the next
+ * weekday that is not already a holiday (so Christmas and Boxing Day both get a day).
+ * @param {Array<Object>} holidays - Holidays sorted by date; `observedDate` is set on shifted entries
+ * @param {Object} observance - Observance rule ({ saturday, sunday })
+ */
+function applyObservance(holidays, observance) {
+  const taken = new Set(holidays.map(holiday => holiday.date));
+  
+  holidays.forEach(holiday => {
+    if (!holiday.observe) {
+      return;
+    }
+    const [year, month, day] = holiday.date.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    const shift = date.getDay() === 6 ? observance.saturday : date.getDay() === 0 ? observance.sunday : null;
+    
+    if (shift === 'previous') {
+      date.setDate(date.getDate() - (date.getDay() === 6 ? 1 : 2));
+    } else if (shift === 'next') {
+      do {
+        date.setDate(date.getDate() + 1);
+      } while (date.getDay() === 0 || date.getDay() === 6 || taken.has(formatDate(date)));
+    } else {
+      return;
+    }
+    
+    holiday.observedDate = formatDate(date);
+    taken.add(holiday.observedDate);
+  });
+}
+
+// Resolved holidays keyed by `${countryCode}:${year}` so long ranges only resolve each year once
+const holidayCache = new Map();
+
+/**
+ * Get the concrete holidays for a country in a specific year
+ * Holidays moved by the country's observance rule appear twice: once on the actual
+ * date (with `observedDate`) and once on the observed date (with `observed: true`).
+ * @param {string} countryCode - Country code
+ * @param {number} year - Full year
+ * @returns {Array<{date: string, name: string, observedDate?: string, actualDate?: string, observed?: boolean}>} - Holidays sorted by date (date as YYYY-MM-DD)
+ */
+function getHolidaysForYear(countryCode, year) {
+  const cacheKey = `${countryCode}:${year}`;
+  if (holidayCache.has(cacheKey)) {
+    return holidayCache.get(cacheKey);
+  }
+  
+  const observance = getObservanceRule(countryCode);
+  let holidays;
+  
+  if (observance) {
+    // Observed dates can cross a year boundary (e.g., New Year's Day observed on Dec 31)
+    const resolved = [year - 1, year, year + 1].reduce(
+      (all, y) => all.concat(resolveHolidaysForYear(countryCode, y)), []
+    );
+    applyObservance(resolved, observance);
+    
+    holidays = [];
+    resolved.forEach(holiday => {
+      if (holiday.date.startsWith(`${year}-`)) {
+        holidays.push(holiday.observedDate
+          ? { date: holiday.date, name: holiday.name, observedDate: holiday.observedDate }
+          : { date: holiday.date, name: holiday.name });
+      }
+      if (holiday.observedDate && holiday.observedDate.startsWith(`${year}-`)) {
+        holidays.push({ date: holiday.observedDate, name: `${holiday.name} (observed)`, actualDate: holiday.date, observed: true });
+      }
+    });
+    holidays.sort((a, b) => a.date.localeCompare(b.date));
+  } else {
+    holidays = resolveHolidaysForYear(countryCode, year).map(holiday => ({ date: holiday.date, name: holiday.name }));
+  }
+  
+  holidayCache.set(cacheKey, holidays);
+  return holidays;
+}
+
+/**
+ * Get the holidays affecting a date range, with their actual and observed dates
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {string} countryCode - Country or region code
+ * @returns {Array<{name: string, date: string, observedDate: string|null}>} - Holidays whose actual or observed date is in range
+ */
+function getHolidaysInRange(startDate, endDate, countryCode = 'US') {
+  const start = formatDate(startDate);
+  const end = formatDate(endDate);
+  const inRange = dateStr => dateStr >= start && dateStr <= end;
+  const holidays = [];
+  
+  for (let year = startDate.getFullYear(); year <= endDate.getFullYear(); year++) {
+    getHolidaysForYear(countryCode, year)
+      .filter(holiday => !holiday.observed)
+      .forEach(holiday => {
+        if (inRange(holiday.date) || (holiday.observedDate && inRange(holiday.observedDate))) {
+          holidays.push({ name: holiday.name, date: holiday.date, observedDate: holiday.observedDate || null });
+        }
+      });
+  }
+  
+  // Holidays of the next year can be observed in the last days of the range
+  getHolidaysForYear(countryCode, endDate.getFullYear() + 1)
+    .filter(holiday => !holiday.observed && holiday.observedDate && inRange(holiday.observedDate))
+    .forEach(holiday => holidays.push({ name: holiday.name, date: holiday.date, observedDate: holiday.observedDate }));
+  
+  return holidays;
+}
+
 /**
  * Check if a date is a holiday for a specific country
+ * Observed dates of shifted holidays count as holidays too.
  * @param {Date} date - The date to check
  * @param {string} countryCode - Country code
  * @returns {boolean} - True if the date is a holiday
  */
 function isHoliday(date, countryCode = 'US') {
-  const month = date.getMonth();
-  const day = date.getDate();
-  const holidays = getHolidaysForCountry(countryCode);
+  const dateStr = formatDate(date);
+  const holidays = getHolidaysForYear(countryCode, date.getFullYear());
   
-  return holidays.some(holiday => 
-    holiday.month === month && holiday.day === day
-  );
+  return holidays.some(holiday => holiday.date === dateStr);
 }
 
 /**
- * Check if a date should be excluded (Sunday or holiday)
+ * Check if a date should be excluded (weekend day or holiday)
  * @param {Date} date - The date to check
  * @param {string} countryCode - Country code for holiday checking
+ * @param {number[]} weekendDays - Non-working weekdays (default: the country's weekend)
  * @returns {boolean} - True if the date should be excluded
  */
-function shouldExcludeDate(date, countryCode = 'US') {
-  return isSunday(date) || isHoliday(date, countryCode);
+function shouldExcludeDate(date, countryCode = 'US', weekendDays = getDefaultWeekendDays(countryCode)) {
+  return isWeekend(date, weekendDays) || isHoliday(date, countryCode);
 }
 
 /**
- * Get all valid dates (excluding Sundays and holidays) between start and end dates
+ * Get all valid dates (excluding weekend days and holidays) between start and end dates
+ * In explain mode every date in the range is returned with the reason it was kept or dropped.
+ * A date that is both a holiday and a weekend day reports the holiday, with `weekend: true`.
+ * Blackouts come last, so 'blackout' marks only the dates a blackout range actually removed.
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
  * @param {string} countryCode - Country code for holiday checking
- * @returns {Date[]} - Array of valid dates
+ * @param {Object} options - Optional settings
+ * @param {number[]} options.weekendDays - Non-working weekdays (default: the country's weekend)
+ * @param {Array<string|Object>} options.excludeDates - Extra dates to skip, as YYYY-MM-DD strings or
+ *   { date, summary } objects (e.g., from an imported calendar)
+ * @param {Array<Object>} options.customHolidays - Extra holiday rules to skip, e.g. from custom holiday sets
+ * @param {Array<Object>} options.blackoutRanges - Inclusive { start, end, label } ranges to skip (see normalizeBlackoutRanges)
+ * @param {boolean} options.explain - Return the status of every date instead of the valid dates
+ * @returns {Date[]|Array<{date: string, weekday: number, status: string, weekend: boolean, name?: string, source?: string}>} -
+ *   Valid dates, or (explain mode) one entry per date with status 'valid', 'weekend', 'holiday', 'custom' or 'blackout'
  */
-function getValidDates(startDate, endDate, countryCode = 'US') {
+function getValidDates(startDate, endDate, countryCode = 'US', options = {}) {
+  const weekendDays = options.weekendDays || getDefaultWeekendDays(countryCode);
+  
+  // Custom exclusions by date: custom holiday sets first, then other excluded dates
+  const customExclusions = new Map();
+  if (options.customHolidays && options.customHolidays.length > 0) {
+    getCustomHolidaysInRange(options.customHolidays, startDate, endDate).forEach(holiday => {
+      if (!customExclusions.has(holiday.date)) {
+        customExclusions.set(holiday.date, { name: holiday.name, source: holiday.set || 'custom' });
+      }
+    });
+  }
+  (options.excludeDates || []).forEach(entry => {
+    const date = typeof entry === 'string' ? entry : entry.date;
+    if (!customExclusions.has(date)) {
+      customExclusions.set(date, { name: (entry && entry.summary) || 'Excluded date', source: (entry && entry.source) || 'calendar' });
+    }
+  });
+  
   const validDates = [];
+  const explanation = [];
   const currentDate = new Date(startDate);
   
   while (currentDate <= endDate) {
-    if (!shouldExcludeDate(currentDate, countryCode)) {
+    const dateStr = formatDate(currentDate);
+    const weekend = isWeekend(currentDate, weekendDays);
+    const holiday = getHolidaysForYear(countryCode, currentDate.getFullYear()).find(h => h.date === dateStr);
+    const custom = customExclusions.get(dateStr);
+    const blackout = (options.blackoutRanges || []).find(range => dateStr >= range.start && dateStr <= range.end);
+    
+    if (!weekend && !holiday && !custom && !blackout) {
       validDates.push(new Date(currentDate));
     }
+    
+    if (options.explain) {
+      const entry = { date: dateStr, weekday: currentDate.getDay(), status: 'valid', weekend };
+      if (holiday) {
+        Object.assign(entry, { status: 'holiday', name: holiday.name });
+      } else if (custom) {
+        Object.assign(entry, { status: 'custom', name: custom.name, source: custom.source });
+      } else if (weekend) {
+        entry.status = 'weekend';
+      } else if (blackout) {
+        Object.assign(entry, { status: 'blackout', name: blackout.label });
+      }
+      explanation.push(entry);
+    }
+    
     currentDate.setDate(currentDate.getDate() + 1);
   }
   
-  return validDates;
+  return options.explain ? explanation : validDates;
 }
 
 /**
  * Get list of available countries organized by region
- * @returns {Array} - Array of country objects with code, name, and region
+ * States/provinces follow their country and carry a `parent` country code.
+ * @returns {Array} - Array of country objects with code, name, region, weekendDays, and (for subdivisions) parent
  */
 function getAvailableCountries() {
-  return [
+  const countries = [
     // North America
     { code: 'US', name: 'United States', region: 'North America' },
     { code: 'CA', name: 'Canada', region: 'North America' },
@@ -467,29 +1363,247 @@ function getAvailableCountries() {
     { code: 'AE', name: 'United Arab Emirates', region: 'Africa & Middle East' },
     
     // Other
-    { code: 'NONE', name: 'No Holidays (Sundays only)', region: 'Other' },
+    { code: 'NONE', name: 'No Holidays (weekends only)', region: 'Other' },
   ];
+  
+  const result = [];
+  countries.forEach(country => {
+    country.weekendDays = getDefaultWeekendDays(country.code);
+    result.push(country);
+    Object.keys(REGIONAL_HOLIDAYS)
+      .filter(code => code.startsWith(`${country.code}-`))
+      .sort((a, b) => REGIONAL_HOLIDAYS[a].name.localeCompare(REGIONAL_HOLIDAYS[b].name))
+      .forEach(code => {
+        result.push({
+          code,
+          name: REGIONAL_HOLIDAYS[code].name,
+          region: country.region,
+          parent: country.code,
+          parentName: country.name,
+          weekendDays: country.weekendDays
+        });
+      });
+  });
+  return result;
 }
 
 /**
  * Format date as YYYY-MM-DD
+ * Without a time zone the date's local calendar day is used (dates from getValidDates
+ * are local midnights); with one, the calendar day of that instant in the zone.
  * @param {Date} date - The date to format
+ * @param {string} timeZone - IANA time zone (optional)
  * @returns {string} - Formatted date string
  */
-function formatDate(date) {
+function formatDate(date, timeZone) {
+  if (timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+  }
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
   const day = String(date.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Parse a YYYY-MM-DD string as a local calendar date
+ * `new Date('2024-03-10')` would be UTC midnight, which is the previous day west of UTC.
+ * @param {string} dateStr - Date string (YYYY-MM-DD; other formats fall back to the Date parser)
+ * @returns {Date} - Local midnight of that day (an invalid Date if unparseable)
+ */
+function parseDate(dateStr) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+  return match ? new Date(+match[1], +match[2] - 1, +match[3]) : new Date(dateStr);
+}
+
+/**
+ * Check if a string is an IANA time zone known to this runtime (e.g., 'Europe/Berlin')
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} - True if valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the server's own IANA time zone
+ * @returns {string} - Time zone name (UTC if the runtime cannot tell)
+ */
+function getDefaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Intl formatters keyed by time zone (creating them is comparatively slow)
+const zonedFormatters = new Map();
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} - Fields (month 1-12)
+ */
+function getZonedParts(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = {};
+  zonedFormatters.get(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in minutes east of UTC (e.g., 330 for Asia/Kolkata)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Build an ISO 8601 timestamp with the zone's UTC offset for a wall-clock time on a date
+ * e.g. ('2024-03-10', 'Asia/Kolkata', 12) -> '2024-03-10T12:00:00+05:30'. Git stores the
+ * offset as given, so commits show the intended local time and calendar day.
+ * Times skipped by a DST change move forward by the length of the change.
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {string} timeZone - IANA time zone
+ * @param {number} hour - Hour (0-23, default: noon)
+ * @param {number} minute - Minute
+ * @param {number} second - Second
+ * @returns {string} - ISO 8601 timestamp with offset
+ */
+function getZonedTimestamp(dateStr, timeZone, hour = 12, minute = 0, second = 0) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  
+  // Try the offsets in effect a day before and after: around a DST change only one may fit.
+  // Repeated times take the first occurrence; skipped times keep the earlier offset,
+  // which lands them just after the change (02:30 -> 03:30).
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - 86400000), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + 86400000), timeZone);
+  const candidates = [offsetBefore, offsetAfter]
+    .map(offset => new Date(wallClock - offset * 60000))
+    .filter(candidate => getTimeZoneOffset(candidate, timeZone) * 60000 === wallClock - candidate.getTime())
+    .sort((a, b) => a - b);
+  const instant = candidates.length > 0 ? candidates[0] : new Date(wallClock - offsetBefore * 60000);
+  return formatZonedTimestamp(instant, timeZone);
+}
+
+/**
+ * Format an instant as an ISO 8601 timestamp with the zone's UTC offset
+ * @param {Date} instant - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - ISO 8601 timestamp with offset
+ */
+function formatZonedTimestamp(instant, timeZone) {
+  const parts = getZonedParts(instant, timeZone);
+  const offset = getTimeZoneOffset(instant, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+/**
+ * Pick strictly increasing commit timestamps within the time windows of a date
+ * Each commit gets a distinct second, so commits on the same date never share a timestamp.
+ * Windows are measured in real time: a DST change shortens or lengthens them, and if a
+ * shortened day has fewer seconds than commits, the extra commits follow one second apart.
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {string} timeZone - IANA time zone
+ * @param {Array<{start: string, end: string}>} windows - Normalized windows (see normalizeTimeWindows)
+ * @param {number} count - Number of timestamps
+ * @param {Object} random - Seeded generator from createRandom
+ * @returns {string[]} - ISO 8601 timestamps with offset, in increasing order
+ */
+function getCommitTimestamps(dateStr, timeZone, windows, count, random) {
+  const toInstant = value => {
+    const [hour, minute] = value.split(':').map(Number);
+    return Date.parse(getZonedTimestamp(dateStr, timeZone, hour, minute, 0));
+  };
+  const spans = windows
+    .map(window => ({ start: toInstant(window.start), seconds: Math.floor((toInstant(window.end) - toInstant(window.start)) / 1000) }))
+    .filter(span => span.seconds > 0);
+  const totalSeconds = spans.reduce((sum, span) => sum + span.seconds, 0);
+
+  // Pick distinct seconds across all windows (Floyd's sampling), then place them in order
+  const picked = new Set();
+  for (let j = totalSeconds - Math.min(count, totalSeconds); j < totalSeconds; j++) {
+    const candidate = random.int(j + 1);
+    picked.add(picked.has(candidate) ? j : candidate);
+  }
+  const instants = [...picked].sort((a, b) => a - b).map(offset => {
+    for (const span of spans) {
+      if (offset < span.seconds) {
+        return span.start + offset * 1000;
+      }
+      offset -= span.seconds;
+    }
+    return null;
+  });
+  if (instants.length === 0) {
+    instants.push(toInstant(windows[0].start));
+  }
+  while (instants.length < count) {
+    instants.push(instants[instants.length - 1] + 1000);
+  }
+  return instants.map(instant => formatZonedTimestamp(new Date(instant), timeZone));
+}
+
 module.exports = {
   isSunday,
+  isWeekend,
   isHoliday,
   shouldExcludeDate,
   getValidDates,
   formatDate,
+  parseDate,
+  isValidTimeZone,
+  getDefaultTimeZone,
+  getTimeZoneOffset,
+  getZonedTimestamp,
+  getCommitTimestamps,
   getAvailableCountries,
-  getHolidaysForCountry
+  getHolidaysForCountry,
+  getHolidaysForYear,
+  getHolidaysInRange,
+  getCustomHolidaysInRange,
+  validateHolidayRule,
+  getObservanceRule,
+  getEasterSunday,
+  isValidCountryCode,
+  getParentCountryCode,
+  getDefaultWeekendDays,
+  normalizeWeekendDays,
+  normalizeBlackoutRanges,
+  normalizeTimeWindows,
+  getTimeWindowSeconds,
+  DEFAULT_TIME_WINDOWS,
+  WEEKDAY_NAMES
 };
 
@@ -0,0 +1,234 @@
+/**
+ * Commit distribution strategies
+ * A strategy decides how many commits each branch gets, based on the branch's date. Every
+ * branch gets at least one commit; the rest are spread according to the strategy's weights.
+ */
+
+const { parseDate } = require('./dateUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days from one date to another (local midnight to local midnight, DST-safe)
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} - Number of days (negative if to is before from)
+ */
+function daysBetween(from, to) {
+  return Math.round((to - from) / DAY_MS);
+}
+
+/**
+ * Available strategies
+ * `params` describes each parameter: type ('number', 'date', 'enum' or 'weekdayWeights'),
+ * its default and limits. `weight` returns the relative share of a date; uniform has no
+ * weights and places each commit on a random date instead.
+ */
+const DISTRIBUTION_STRATEGIES = {
+  uniform: {
+    description: 'Commits land on the selected dates at random',
+    params: {}
+  },
+  fixed: {
+    description: 'Every selected date gets the same number of commits (any remainder goes to random dates)',
+    params: {},
+    weight: () => 1
+  },
+  weekday: {
+    description: 'More commits on some weekdays than others',
+    params: {
+      weights: { type: 'weekdayWeights', default: [0.5, 1.4, 1.3, 1.2, 1, 0.7, 0.5], description: 'Relative weight of each weekday, Sunday first' }
+    },
+    weight: (date, params) => params.weights[date.getDay()]
+  },
+  ramp: {
+    description: 'Activity grows (or shrinks) steadily over the date range',
+    params: {
+      direction: { type: 'enum', values: ['up', 'down'], default: 'up', description: 'Ramp up or ramp down' },
+      factor: { type: 'number', min: 1, max: 100, default: 5, description: 'How many times busier the busiest end is' }
+    },
+    weight: (date, params, range) => {
+      const length = daysBetween(range.start, range.end);
+      const position = length > 0 ? daysBetween(range.start, date) / length : 0;
+      const progress = params.direction === 'down' ? 1 - position : position;
+      return 1 + (params.factor - 1) * progress;
+    }
+  },
+  gaussian: {
+    description: 'Activity peaks around one date and tails off on both sides',
+    params: {
+      center: { type: 'date', default: null, description: 'Peak date (YYYY-MM-DD, default: middle of the range)' },
+      spread: { type: 'number', min: 0.5, max: 3650, default: 7, description: 'Standard deviation in days' }
+    },
+    weight: (date, params, range) => {
+      const center = params.center
+        ? parseDate(params.center)
+        : new Date(range.start.getTime() + Math.floor(daysBetween(range.start, range.end) / 2) * DAY_MS);
+      const distance = daysBetween(center, date) / params.spread;
+      return Math.exp(-0.5 * distance * distance);
+    }
+  },
+  bursty: {
+    description: 'Busy sprints separated by quiet gaps',
+    params: {
+      sprintLength: { type: 'number', min: 1, max: 365, default: 10, description: 'Days in each sprint' },
+      gapLength: { type: 'number', min: 0, max: 365, default: 4, description: 'Quiet days between sprints' },
+      intensity: { type: 'number', min: 1, max: 100, default: 5, description: 'How many times busier sprint days are than quiet days' }
+    },
+    weight: (date, params, range) => {
+      const day = daysBetween(range.start, date) % (params.sprintLength + params.gapLength);
+      return day < params.sprintLength ? params.intensity : 1;
+    }
+  }
+};
+
+/**
+ * Get the strategies with their parameters (for the UI and the API)
+ * @returns {Array<Object>} - Strategies with name, description and params
+ */
+function getDistributionStrategies() {
+  return Object.entries(DISTRIBUTION_STRATEGIES).map(([name, strategy]) => ({
+    name,
+    description: strategy.description,
+    params: Object.entries(strategy.params).map(([paramName, param]) => ({ name: paramName, ...param }))
+  }));
+}
+
+/**
+ * Validate one strategy parameter
+ * @param {Object} param - Parameter definition
+ * @param {*} value - Supplied value
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateParam(param, value) {
+  switch (param.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < param.min || value > param.max) {
+        return `must be a number from ${param.min} to ${param.max}`;
+      }
+      return null;
+    case 'date':
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(parseDate(value).getTime())) {
+        return 'must be a date in YYYY-MM-DD format';
+      }
+      return null;
+    case 'enum':
+      return param.values.includes(value) ? null : `must be one of: ${param.values.join(', ')}`;
+    case 'weekdayWeights':
+      if (!Array.isArray(value) || value.length !== 7 || value.some(weight => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+        return 'must be a list of 7 non-negative numbers, Sunday first';
+      }
+      return null;
+    default:
+      return 'has an unknown type';
+  }
+}
+
+/**
+ * Validate a distribution setting and fill in parameter defaults
+ * @param {string|Object|undefined} distribution - Strategy name, or { strategy, params } (default: uniform)
+ * @returns {{error?: string, distribution?: {strategy: string, params: Object}}} - Normalized distribution or an error
+ */
+function resolveDistribution(distribution) {
+  if (distribution === undefined || distribution === null || distribution === '') {
+    return { distribution: { strategy: 'uniform', params: {} } };
+  }
+  const { strategy: name, params = {} } = typeof distribution === 'string' ? { strategy: distribution } : distribution;
+
+  const strategy = Object.prototype.hasOwnProperty.call(DISTRIBUTION_STRATEGIES, name) ? DISTRIBUTION_STRATEGIES[name] : null;
+  if (!strategy) {
+    return { error: `Unknown distribution strategy: ${name}. Use one of: ${Object.keys(DISTRIBUTION_STRATEGIES).join(', ')}` };
+  }
+  if (typeof params !== 'object' || Array.isArray(params) || params === null) {
+    return { error: 'Distribution params must be an object' };
+  }
+
+  const resolvedParams = {};
+  for (const key of Object.keys(params)) {
+    if (!Object.prototype.hasOwnProperty.call(strategy.params, key)) {
+      return { error: `Unknown parameter for the ${name} distribution: ${key}` };
+    }
+  }
+  for (const [key, param] of Object.entries(strategy.params)) {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') {
+      resolvedParams[key] = param.default;
+      continue;
+    }
+    const error = validateParam(param, value);
+    if (error) {
+      return { error: `Distribution parameter ${key} ${error}` };
+    }
+    resolvedParams[key] = value;
+  }
+
+  return { distribution: { strategy: name, params: resolvedParams } };
+}
+
+/**
+ * Split commits over dates in proportion to their weights (largest remainder)
+ * @param {number[]} weights - Weight of each date (all zero means equal shares)
+ * @param {number} commits - Commits to split
+ * @param {Object} random - Seeded generator (breaks ties between equal remainders)
+ * @returns {number[]} - Commits per date
+ */
+function allocateByWeight(weights, commits, random) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = weights.map(weight => totalWeight > 0 ? (commits * weight) / totalWeight : commits / weights.length);
+  const counts = shares.map(share => Math.floor(share));
+
+  let remaining = commits - counts.reduce((sum, count) => sum + count, 0);
+  // Sort is stable, so dates with equal remainders stay in shuffled order
+  const order = random.shuffle(weights.map((_, i) => i))
+    .sort((a, b) => (shares[b] - counts[b]) - (shares[a] - counts[a]));
+  for (let i = 0; remaining > 0; i = (i + 1) % order.length, remaining--) {
+    counts[order[i]]++;
+  }
+  return counts;
+}
+
+/**
+ * Decide how many commits each branch gets
+ * @param {Date[]} dates - Date of each branch (a date appears once per branch on it)
+ * @param {number} totalCommits - Total commits (at least one per branch)
+ * @param {{strategy: string, params: Object}} distribution - Normalized distribution (see resolveDistribution)
+ * @param {Object} random - Seeded generator from createRandom
+ * @param {{start: Date, end: Date}} range - Date range of the run
+ * @returns {number[]} - Commits per branch, in the order of dates
+ */
+function distributeCommits(dates, totalCommits, distribution, random, range) {
+  const strategy = DISTRIBUTION_STRATEGIES[distribution.strategy];
+  const extraCommits = totalCommits - dates.length;
+
+  if (!strategy.weight) {
+    // Uniform: each extra commit goes to a random date
+    const commitsPerDate = new Array(dates.length).fill(1);
+    for (let i = 0; i < extraCommits; i++) {
+      commitsPerDate[random.int(dates.length)]++;
+    }
+    return random.shuffle(commitsPerDate);
+  }
+
+  const weights = dates.map(date => strategy.weight(date, distribution.params, range));
+  return allocateByWeight(weights, extraCommits, random).map(count => count + 1);
+}
+
+/**
+ * Describe a distribution for logs and messages (e.g., "gaussian (center: 2024-03-15, spread: 7)")
+ * @param {{strategy: string, params: Object}} distribution - Normalized distribution
+ * @returns {string} - Description
+ */
+function describeDistribution(distribution) {
+  const params = Object.entries(distribution.params)
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join('/') : value}`);
+  return params.length > 0 ? `${distribution.strategy} (${params.join(', ')})` : distribution.strategy;
+}
+
+module.exports = {
+  DISTRIBUTION_STRATEGIES,
+  getDistributionStrategies,
+  resolveDistribution,
+  distributeCommits,
+  describeDistribution
+};
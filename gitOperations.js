@@ -6,6 +6,13 @@ const simpleGit = require('simple-git');
 const path = require('path');
 const fs = require('fs');
 const { execSync } = require('child_process');
+const { formatDate, getCommitTimestamps, getDefaultTimeZone, DEFAULT_TIME_WINDOWS } = require('./dateUtils');
+const { createRandom, generateSeed } = require('./random');
+const { applyContentGenerator, getConflictStrategy, describeContentGenerator } = require('./contentGenerators');
+const { DEFAULT_TEMPLATE, formatCommitMessage, fillRunId } = require('./commitMessages');
+const { pickPersona, formatPersona } = require('./personas');
+const { prepareSigning, isGoodSignature } = require('./signing');
+const plumbing = require('./plumbing');
 
 /**
  * Check if git is available on the system
@@ -137,13 +144,13 @@ async function initGit(repoPath) {
     }
   }
   
-  const git = simpleGit(actualPath);
-  
-  // Check if directory exists, if not create it (for local paths)
+  // Check if directory exists, if not create it (for local paths; simple-git needs an existing directory)
   if (!fs.existsSync(actualPath)) {
     fs.mkdirSync(actualPath, { recursive: true });
   }
   
+  const git = simpleGit(actualPath);
+  
   // Initialize git repo if not already initialized
   const isRepo = await git.checkIsRepo();
   if (!isRepo) {
@@ -212,15 +219,57 @@ async function deleteRemoteBranch(git, branchName, remote = 'origin') {
   }
 }
 
+/**
+ * Find which planned branch names are already taken, locally or on the remote
+ * A name is also taken when git could not store it next to an existing branch
+ * (fixtures/2024-01-01 blocks fixtures/2024-01-01/1 and the other way round).
+ * @param {Object} git - Git instance
+ * @param {Array<string>} branchNames - Planned branch names
+ * @param {string|null} remote - Remote name (default: 'origin'; null in local-only mode checks local branches only)
+ * @returns {Promise<Array<{name: string, existing: string, where: string}>>} - Taken names, with the branch that blocks each and where it is
+ */
+async function findExistingBranches(git, branchNames, remote = 'origin') {
+  const localBranches = (await git.branchLocal()).all;
+  let remoteBranches = [];
+  if (remote) {
+    try {
+      const heads = await git.listRemote(['--heads', remote]);
+      remoteBranches = heads.split('\n')
+        .map(line => line.split('\t')[1])
+        .filter(Boolean)
+        .map(ref => ref.replace(/^refs\/heads\//, ''));
+    } catch (error) {
+      console.log(`[BRANCH] Could not list branches on ${remote}: ${error.message}`);
+    }
+  }
+  
+  const blocks = (name, existing) => existing === name || existing.startsWith(`${name}/`) || name.startsWith(`${existing}/`);
+  const taken = [];
+  for (const name of branchNames) {
+    const onRemote = remoteBranches.find(existing => blocks(name, existing));
+    const local = localBranches.find(existing => blocks(name, existing));
+    if (onRemote !== undefined) {
+      taken.push({ name, existing: onRemote, where: remote });
+    } else if (local !== undefined) {
+      taken.push({ name, existing: local, where: 'local' });
+    }
+  }
+  return taken;
+}
+
 /**
  * Create a branch with the given name
+ * An existing branch with the same name is left alone and reported as an error, unless
+ * replaceExisting is set: then the remote branch is deleted and the local one reset to the base.
  * @param {Object} git - Git instance
  * @param {string} branchName - Name of the branch
- * @param {string} remote - Remote name (default: 'origin')
- * @param {boolean} forcePush - Whether to force push if branch exists remotely
+ * @param {string|null} remote - Remote name (default: 'origin'; null in local-only mode skips the remote check)
+ * @param {boolean} replaceExisting - Replace a branch that already exists (default: false)
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.checkout - Check the branch out (default: true; the plumbing writer only needs the checks)
  * @returns {Promise<Object>}
  */
-async function createBranch(git, branchName, remote = 'origin', forcePush = false) {
+async function createBranch(git, branchName, remote = 'origin', replaceExisting = false, options = {}) {
   try {
     console.log(`[BRANCH] Creating branch: ${branchName}`);
     
@@ -230,13 +279,23 @@ async function createBranch(git, branchName, remote = 'origin', forcePush = fals
     console.log(`[BRANCH] Branch ${branchName} exists locally: ${existsLocally}`);
     
     // Check if branch exists on remote (only for the specific branch we're creating)
-    const existsRemotely = await branchExistsOnRemote(git, branchName, remote);
+    const existsRemotely = remote ? await branchExistsOnRemote(git, branchName, remote) : false;
     console.log(`[BRANCH] Branch ${branchName} exists remotely: ${existsRemotely}`);
     
-    if (existsRemotely && !forcePush) {
-      // Delete remote branch if it exists (to avoid push conflicts)
-      // NOTE: We only delete the branch for the date we're currently processing
-      console.log(`[BRANCH] Branch ${branchName} exists on remote, deleting it first`);
+    if ((existsLocally || existsRemotely) && !replaceExisting) {
+      const where = existsRemotely ? `on ${remote}` : 'locally';
+      console.log(`[BRANCH] Branch ${branchName} already exists ${where}, leaving it untouched`);
+      return {
+        success: false,
+        message: `Branch '${branchName}' already exists ${where}; it was left untouched (set replaceExistingBranches to replace it)`,
+        existedRemotely: existsRemotely
+      };
+    }
+    
+    if (existsRemotely) {
+      // Replacing was requested: delete the remote branch (to avoid push conflicts)
+      // NOTE: We only delete the branch we're currently creating
+      console.log(`[BRANCH] Branch ${branchName} exists on remote, deleting it first (replaceExistingBranches)`);
       const deleteResult = await deleteRemoteBranch(git, branchName, remote);
       if (!deleteResult.success) {
         console.warn(`[BRANCH] Warning: Could not delete remote branch: ${deleteResult.message}`);
@@ -246,10 +305,16 @@ async function createBranch(git, branchName, remote = 'origin', forcePush = fals
       }
     }
     
+    if (options.checkout === false) {
+      // The plumbing writer creates (or resets) the local branch itself
+      console.log(`[BRANCH] Branch ${branchName} is free to write without a checkout`);
+      return { success: true, message: `Branch '${branchName}' ready`, existedRemotely: existsRemotely };
+    }
+    
     // Checkout or create branch locally
     if (existsLocally) {
-      console.log(`[BRANCH] Checking out existing local branch: ${branchName}`);
-      await git.checkout(branchName);
+      console.log(`[BRANCH] Resetting existing local branch to the base: ${branchName}`);
+      await git.checkout(['-B', branchName]);
     } else {
       console.log(`[BRANCH] Creating new local branch: ${branchName}`);
       await git.checkoutLocalBranch(branchName);
@@ -277,19 +342,20 @@ async function createBranch(git, branchName, remote = 'origin', forcePush = fals
 /**
  * Randomly select co-authors from the list (either one or multiple)
  * @param {Array<string>} coAuthors - Array of all co-author emails
+ * @param {Object} random - Seeded generator from createRandom
  * @returns {Array<string>} - Randomly selected co-authors (either 1 or multiple)
  */
-function getRandomCoAuthors(coAuthors) {
+function getRandomCoAuthors(coAuthors, random) {
   if (!coAuthors || coAuthors.length === 0) {
     return [];
   }
   
   // Randomly decide: use one co-author OR use all co-authors
-  const useSingle = Math.random() < 0.5; // 50% chance for single, 50% for multiple
+  const useSingle = random.next() < 0.5; // 50% chance for single, 50% for multiple
   
   if (useSingle || coAuthors.length === 1) {
     // Use only one random co-author
-    const randomIndex = Math.floor(Math.random() * coAuthors.length);
+    const randomIndex = random.int(coAuthors.length);
     return [coAuthors[randomIndex]];
   } else {
     // Use all co-authors (plural)
@@ -324,6 +390,103 @@ function formatCoAuthors(coAuthors) {
   return '\n\n' + trailers.join('\n');
 }
 
+/**
+ * Get the branch name used for a date
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number|null} index - 1-based branch number when a date has several branches
+ * @returns {string} - Branch name (auto-YYYY-MM-DD, or auto-YYYY-MM-DD-N with an index)
+ */
+function getBranchName(date, index = null) {
+  return index ? `auto-${date}-${index}` : `auto-${date}`;
+}
+
+/**
+ * Plan the commits for a date: the message, timestamp, co-authors and (with personas) author of each commit
+ * @param {number} commitCount - Number of commits to plan
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Array<string>} coAuthors - Array of co-author emails (optional)
+ * @param {number} coAuthorRate - Percentage of commits that should include co-authors (0-100, default: 0)
+ * @param {Object} options - Optional settings (timeZone, seed, timeWindows; see createCommits)
+ * @param {number} options.branchIndex - Branch number when a date has several branches (gives each its own co-author picks)
+ * @param {Object} options.messages - Message format (see commitMessages.js; default: 'Auto commit {index} for {date}')
+ * @param {string} options.branchName - Branch the commits go on, for {branch} (default: getBranchName(date, branchIndex))
+ * @param {number} options.sequenceStart - Position of the first commit in the run (cycles Conventional Commits types across branches)
+ * @param {Array<Object>} options.personas - Author identities to rotate through (see personas.js; default: the repository's git user)
+ * @returns {Array<{message: string, timestamp: string, coAuthors: Array<string>, author?: string}>} - Planned commits
+ */
+function planCommits(commitCount, date, coAuthors = [], coAuthorRate = 0, options = {}) {
+  const timeZone = options.timeZone || getDefaultTimeZone();
+  const branchKey = options.branchIndex ? `${date}:${options.branchIndex}` : date;
+  const seed = options.seed || generateSeed();
+  const random = createRandom(`${seed}:co-authors:${branchKey}`);
+  
+  // Commit times fall inside the day's time windows in the run's time zone, with that zone's
+  // offset, so git records the intended local time and calendar day regardless of the server's
+  // zone. Times have their own generator so they leave the co-author picks unchanged.
+  const timestamps = getCommitTimestamps(date, timeZone, options.timeWindows || DEFAULT_TIME_WINDOWS, commitCount,
+    createRandom(`${seed}:times:${branchKey}`));
+  
+  // Determine which commits should have co-authors based on rate
+  const commitsWithCoAuthors = new Set();
+  if (coAuthors && coAuthors.length > 0 && coAuthorRate > 0) {
+    const numCommitsWithCoAuthors = Math.round((commitCount * coAuthorRate) / 100);
+    // Ensure at least 1 commit gets co-authors if rate > 0 and we have commits
+    const actualNumCommits = numCommitsWithCoAuthors > 0 ? numCommitsWithCoAuthors : (commitCount > 0 ? 1 : 0);
+    
+    // Randomly select commits to include co-authors
+    // Shuffle and take first N
+    const indices = random.shuffle(Array.from({ length: commitCount }, (_, i) => i));
+    for (let i = 0; i < actualNumCommits && i < indices.length; i++) {
+      commitsWithCoAuthors.add(indices[i]);
+    }
+  }
+  
+  const messages = options.messages || { mode: 'template', template: DEFAULT_TEMPLATE };
+  const branchName = options.branchName || getBranchName(date, options.branchIndex || null);
+  
+  // Personas have their own generator too, so adding them leaves times and co-authors unchanged
+  const personas = options.personas && options.personas.length > 0 ? options.personas : null;
+  const personaRandom = personas ? createRandom(`${seed}:personas:${branchKey}`) : null;
+  
+  // Randomly select co-authors for each selected commit
+  return Array.from({ length: commitCount }, (_, i) => {
+    const commit = {
+      message: formatCommitMessage(messages, { date, index: i + 1, branch: branchName, sequence: (options.sequenceStart || 0) + i }),
+      timestamp: timestamps[i],
+      coAuthors: commitsWithCoAuthors.has(i) ? getRandomCoAuthors(coAuthors, random) : []
+    };
+    if (personas) {
+      const persona = pickPersona(personas, timestamps[i], personaRandom);
+      commit.author = formatPersona(persona);
+      // A persona is not credited as co-author of its own commit
+      commit.coAuthors = commit.coAuthors.filter(coAuthor => getEmail(coAuthor).toLowerCase() !== persona.email.toLowerCase());
+    }
+    return commit;
+  });
+}
+
+/**
+ * Get the email of a co-author entry
+ * @param {string} coAuthor - "Name <email>" or a bare email
+ * @returns {string} - Email address
+ */
+function getEmail(coAuthor) {
+  const match = coAuthor.match(/<(.+?)>\s*$/);
+  return (match ? match[1] : coAuthor).trim();
+}
+
+/**
+ * Read the signature of a commit made with a signing setting
+ * @param {Object} git - Git instance with the signing environment (SSH verification needs the allowed signers file)
+ * @param {string} ref - Commit to check
+ * @param {Object} signing - Normalized signing setting
+ * @returns {Promise<Object>} - { good, status, key }
+ */
+async function readSignature(git, ref, signing) {
+  const [status, key] = (await git.raw(['show', '-s', '--format=%G?%n%GK', ref])).trim().split('\n');
+  return { good: isGoodSignature(status, signing), status, key: key || null };
+}
+
 /**
  * Create commits on the current branch
  * @param {Object} git - Git instance
@@ -332,10 +495,26 @@ function formatCoAuthors(coAuthors) {
  * @param {string} repoPath - Repository path (optional, will try to get from git instance if not provided)
  * @param {Array<string>} coAuthors - Array of co-author emails (optional)
  * @param {number} coAuthorRate - Percentage of commits that should include co-authors (0-100, default: 0)
+ * @param {Object} options - Optional settings
+ * @param {string} options.timeZone - IANA time zone for commit timestamps (default: the server's zone)
+ * @param {string} options.seed - Run seed; co-author choices and commit times for a date depend only on the seed and the date
+ * @param {Array<Object>} options.timeWindows - Time-of-day windows for commits (see normalizeTimeWindows; default: 09:00-18:00)
+ * @param {Array<Object>} options.personas - Author identities to rotate through when commits are not planned ahead (see planCommits)
+ * @param {Object} options.content - Content generator setting (see resolveContentGenerator; default: append to commits.txt)
+ * @param {boolean} options.setCommitterDate - Set the committer date to the author date (default: true)
+ * @param {Object} options.signing - Sign every commit and verify the signatures (see resolveSigning; default: unsigned)
+ * @param {Array<Object>} options.commits - Commits planned ahead (see planCommits; each may also set an author); replaces commitCount and the co-author settings
+ * @param {string} options.runId - Run record id, filled in for {runId} in commit messages
  * @returns {Promise<Object>}
  */
-async function createCommits(git, commitCount, date, repoPath = null, coAuthors = [], coAuthorRate = 0) {
+async function createCommits(git, commitCount, date, repoPath = null, coAuthors = [], coAuthorRate = 0, options = {}) {
+  const timeZone = options.timeZone || getDefaultTimeZone();
+  const plannedCommits = options.commits || planCommits(commitCount, date, coAuthors, coAuthorRate, options);
+  const setCommitterDate = options.setCommitterDate !== false;
+  commitCount = plannedCommits.length;
   const results = [];
+  // Signing config travels in the environment of the committing instance, like GIT_COMMITTER_DATE
+  const signingSetup = options.signing ? prepareSigning(options.signing) : null;
   
   try {
     // Get repository path
@@ -354,71 +533,42 @@ async function createCommits(git, commitCount, date, repoPath = null, coAuthors
       return { success: false, message: 'Could not determine repository path' };
     }
     
-    // Create a dummy file or update existing one
-    const fileName = 'commits.txt';
-    const filePath = path.join(actualRepoPath, fileName);
-    
-    // Read existing content or initialize
-    let content = '';
-    if (fs.existsSync(filePath)) {
-      content = fs.readFileSync(filePath, 'utf8');
-    }
+    // The content generator decides what each commit changes (default: a line in commits.txt)
+    const content = options.content || { generator: 'log', params: {} };
+    const contentRandom = createRandom(`${options.seed || generateSeed()}:content:${options.branchName || date}`);
     
-    // Parse the date string (YYYY-MM-DD) to ensure correct date handling
-    // Create date at noon to avoid timezone issues
-    const [year, month, day] = date.split('-').map(Number);
-    const commitDate = new Date(year, month - 1, day, 12, 0, 0); // Noon to avoid timezone issues
+    console.log(`[COMMIT] Creating ${commitCount} commit(s) for date: ${date} (in ${timeZone}, content: ${describeContentGenerator(content)})`);
     
-    console.log(`[COMMIT] Creating ${commitCount} commit(s) for date: ${date} (parsed as: ${commitDate.toISOString()})`);
-    
-    // Determine which commits should have co-authors based on rate
-    const commitsWithCoAuthors = new Set();
-    console.log(`[COMMIT] Co-author settings: coAuthors=${coAuthors ? coAuthors.length : 0}, coAuthorRate=${coAuthorRate}%`);
-    
-    if (coAuthors && coAuthors.length > 0 && coAuthorRate > 0) {
-      const numCommitsWithCoAuthors = Math.round((commitCount * coAuthorRate) / 100);
-      // Ensure at least 1 commit gets co-authors if rate > 0 and we have commits
-      const actualNumCommits = numCommitsWithCoAuthors > 0 ? numCommitsWithCoAuthors : (commitCount > 0 && coAuthorRate > 0 ? 1 : 0);
-      
-      // Randomly select commits to include co-authors
-      const indices = Array.from({ length: commitCount }, (_, i) => i);
-      // Shuffle and take first N
-      indices.sort(() => Math.random() - 0.5);
-      for (let i = 0; i < actualNumCommits && i < indices.length; i++) {
-        commitsWithCoAuthors.add(indices[i]);
-      }
-      console.log(`[COMMIT] ${actualNumCommits} out of ${commitCount} commits will include co-authors (${coAuthorRate}%)`);
-      console.log(`[COMMIT] Selected commit indices: ${Array.from(commitsWithCoAuthors).sort((a, b) => a - b).join(', ')}`);
+    const commitsWithCoAuthors = plannedCommits.filter(commit => commit.coAuthors.length > 0).length;
+    if (commitsWithCoAuthors > 0) {
+      console.log(`[COMMIT] ${commitsWithCoAuthors} out of ${commitCount} commits will include co-authors`);
     } else {
-      console.log(`[COMMIT] No co-authors will be added (coAuthors: ${coAuthors ? coAuthors.length : 0}, rate: ${coAuthorRate}%)`);
+      console.log(`[COMMIT] No co-authors will be added`);
     }
 
     for (let i = 0; i < commitCount; i++) {
-      // Append a line to the file
-      const timestamp = commitDate.toISOString();
-      content += `${date} - Commit ${i + 1} at ${timestamp}\n`;
-      fs.writeFileSync(filePath, content);
+      const commitDateISO = plannedCommits[i].timestamp;
       
-      // Stage the file
-      await git.add(fileName);
+      // Change the working tree and stage everything the generator touched (including deletions)
+      const touchedFiles = applyContentGenerator(content, {
+        repoPath: actualRepoPath,
+        date,
+        commitNumber: i + 1,
+        timestamp: commitDateISO,
+        random: contentRandom
+      });
+      await git.raw(['add', '-A', '--', ...touchedFiles]);
       
       // Commit with the specific date (not current date!)
-      let commitMessage = `Auto commit ${i + 1} for ${date}`;
+      let commitMessage = fillRunId(plannedCommits[i].message, options.runId);
       
-      // Add co-author trailers only if this commit is selected (based on rate)
-      // Randomly select co-authors for this commit
-      let selectedCoAuthors = [];
-      if (commitsWithCoAuthors.has(i) && coAuthors && coAuthors.length > 0) {
-        selectedCoAuthors = getRandomCoAuthors(coAuthors);
-        if (selectedCoAuthors.length > 0) {
-          const coAuthorTrailers = formatCoAuthors(selectedCoAuthors);
-          commitMessage += coAuthorTrailers;
-          console.log(`[COMMIT] Adding co-authors to commit ${i + 1}: ${selectedCoAuthors.join(', ')}`);
-        }
+      // Add co-author trailers for the co-authors planned for this commit
+      const selectedCoAuthors = plannedCommits[i].coAuthors;
+      if (selectedCoAuthors.length > 0) {
+        commitMessage += formatCoAuthors(selectedCoAuthors);
+        console.log(`[COMMIT] Adding co-authors to commit ${i + 1}: ${selectedCoAuthors.join(', ')}`);
       }
       
-      const commitDateISO = commitDate.toISOString();
-      
       console.log(`[COMMIT] Creating commit ${i + 1}/${commitCount} with date: ${commitDateISO}`);
       if (selectedCoAuthors.length > 0) {
         console.log(`[COMMIT] Commit message includes co-authors: ${selectedCoAuthors.join(', ')}`);
@@ -429,9 +579,25 @@ async function createCommits(git, commitCount, date, repoPath = null, coAuthors
         console.log(`[COMMIT] Full commit message with co-authors:\n${commitMessage}`);
       }
       
-      await git.commit(commitMessage, {
-        '--date': commitDateISO
-      });
+      // Imported schedules and personas name the author of a commit ("Name <email>")
+      const commitOptions = { '--date': commitDateISO };
+      if (plannedCommits[i].author) {
+        commitOptions['--author'] = plannedCommits[i].author;
+        console.log(`[COMMIT] Author of commit ${i + 1}: ${plannedCommits[i].author}`);
+      }
+      // --date only sets the author date; the committer date comes from GIT_COMMITTER_DATE.
+      // A separate instance keeps the variables from leaking into later commands on git.
+      const commitEnv = {
+        ...(setCommitterDate ? { GIT_COMMITTER_DATE: commitDateISO } : {}),
+        ...(signingSetup ? signingSetup.env : {})
+      };
+      const commitGit = Object.keys(commitEnv).length > 0
+        ? simpleGit(actualRepoPath).env({ ...process.env, ...commitEnv })
+        : git;
+      if (signingSetup) {
+        commitOptions['--gpg-sign'] = options.signing.key;
+      }
+      await commitGit.commit(commitMessage, commitOptions);
       
       // Verify commit was created with correct date and check if co-authors are in the message
       const logResult = await git.log(['-1']);
@@ -439,16 +605,39 @@ async function createCommits(git, commitCount, date, repoPath = null, coAuthors
         hash: null,
         date: date,
         message: commitMessage,
-        timestamp: commitDateISO
+        timestamp: commitDateISO,
+        author: plannedCommits[i].author || null
       };
       
       if (logResult.latest) {
         commitInfo.hash = logResult.latest.hash.substring(0, 7);
         commitInfo.fullHash = logResult.latest.hash;
-        const commitDateStr = new Date(logResult.latest.date).toISOString().split('T')[0];
+        const commitDateStr = formatDate(new Date(logResult.latest.date), timeZone);
         commitInfo.actualDate = commitDateStr;
         console.log(`[COMMIT] ✅ Commit created: ${commitInfo.hash} - Date: ${commitDateStr} (Expected: ${date})`);
         
+        // Verify the author date and, when it was set, the committer date
+        const [authorDate, committerDate] = (await git.raw(['show', '-s', '--format=%aI%n%cI', logResult.latest.hash])).trim().split('\n');
+        commitInfo.authorDate = authorDate;
+        commitInfo.committerDate = committerDate;
+        commitInfo.datesVerified = Date.parse(authorDate) === Date.parse(commitDateISO) &&
+          (!setCommitterDate || Date.parse(committerDate) === Date.parse(commitDateISO));
+        if (commitInfo.datesVerified) {
+          console.log(`[COMMIT] ✅ Author date ${authorDate}${setCommitterDate ? ` and committer date ${committerDate}` : ''} match ${commitDateISO}`);
+        } else {
+          console.warn(`[COMMIT] ⚠️ Warning: Commit dates do not match! Expected: ${commitDateISO}, author date: ${authorDate}, committer date: ${committerDate}${setCommitterDate ? '' : ' (committer date not set)'}`);
+        }
+        
+        // Verify the signature with the same signing config (SSH verification needs the allowed signers file)
+        if (signingSetup) {
+          const { good, status, key } = await readSignature(commitGit, logResult.latest.hash, options.signing);
+          commitInfo.signature = { status, key };
+          if (!good) {
+            throw new Error(`Commit ${commitInfo.hash} has no valid signature (git reports signature status ${status}); the branch is not pushed`);
+          }
+          console.log(`[COMMIT] ✅ Signature verified (status ${status}, key ${key})`);
+        }
+        
         // Verify co-authors are in the commit message
         if (selectedCoAuthors.length > 0) {
           const actualCommitMessage = logResult.latest.message || '';
@@ -477,7 +666,13 @@ async function createCommits(git, commitCount, date, repoPath = null, coAuthors
         message: `Commit ${i + 1} created for ${date}`,
         commitDate: date,
         commitHash: commitInfo.hash,
-        commitTimestamp: commitDateISO
+        commitFullHash: commitInfo.fullHash || null,
+        commitTimestamp: commitDateISO,
+        author: commitInfo.author,
+        authorDate: commitInfo.authorDate || null,
+        committerDate: commitInfo.committerDate || null,
+        datesVerified: commitInfo.datesVerified || false,
+        signature: commitInfo.signature || null
       });
     }
     
@@ -486,6 +681,88 @@ async function createCommits(git, commitCount, date, repoPath = null, coAuthors
     return { success: true, results, message: `Created ${commitCount} commits` };
   } catch (error) {
     return { success: false, message: `Error creating commits: ${error.message}` };
+  } finally {
+    if (signingSetup) {
+      signingSetup.cleanup();
+    }
+  }
+}
+
+/**
+ * Create commits on a branch with the plumbing writer (see plumbing.js)
+ * Same commits, trees and result entries as createCommits, but written with one git fast-import
+ * instead of a checkout and a commit per commit: the working tree and index are not touched.
+ * Commits cannot be signed this way (resolveWriter rejects signing).
+ * @param {Object} git - Git instance
+ * @param {string} branchName - Branch to write (created, or reset when replaceExisting is set)
+ * @param {string|null} baseRef - Commit the branch starts from (see resolveBase)
+ * @param {number} commitCount - Number of commits to create
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} repoPath - Repository path
+ * @param {Array<string>} coAuthors - Array of co-author emails (optional)
+ * @param {number} coAuthorRate - Percentage of commits that should include co-authors (0-100, default: 0)
+ * @param {Object} options - Optional settings (as for createCommits, plus replaceExisting)
+ * @param {boolean} options.replaceExisting - Replace the branch if it already exists
+ * @returns {Promise<Object>}
+ */
+async function createCommitsWithPlumbing(git, branchName, baseRef, commitCount, date, repoPath, coAuthors = [], coAuthorRate = 0, options = {}) {
+  const timeZone = options.timeZone || getDefaultTimeZone();
+  const plannedCommits = options.commits || planCommits(commitCount, date, coAuthors, coAuthorRate, options);
+  const setCommitterDate = options.setCommitterDate !== false;
+  
+  try {
+    const content = options.content || { generator: 'log', params: {} };
+    const contentRandom = createRandom(`${options.seed || generateSeed()}:content:${options.branchName || date}`);
+    
+    console.log(`[COMMIT] Writing ${plannedCommits.length} commit(s) for date: ${date} with git fast-import (in ${timeZone}, content: ${describeContentGenerator(content)})`);
+    
+    const commits = plannedCommits.map(commit => ({
+      message: fillRunId(commit.message, options.runId) + (commit.coAuthors.length > 0 ? formatCoAuthors(commit.coAuthors) : ''),
+      timestamp: commit.timestamp,
+      author: commit.author || null
+    }));
+    const written = await plumbing.writeCommits(git, repoPath, branchName, baseRef, commits, {
+      applyContent: (files, commitNumber, commit) => applyContentGenerator(content, {
+        repoPath,
+        files,
+        date,
+        commitNumber,
+        timestamp: commit.timestamp,
+        random: contentRandom
+      }),
+      setCommitterDate,
+      replaceExisting: options.replaceExisting === true
+    });
+    if (written.length !== commits.length) {
+      throw new Error(`Expected ${commits.length} commits on ${branchName}, found ${written.length}`);
+    }
+    
+    const results = written.map((commit, i) => {
+      const datesVerified = Date.parse(commit.authorDate) === Date.parse(commits[i].timestamp) &&
+        (!setCommitterDate || Date.parse(commit.committerDate) === Date.parse(commits[i].timestamp));
+      if (!datesVerified) {
+        console.warn(`[COMMIT] ⚠️ Warning: Commit dates do not match! Expected: ${commits[i].timestamp}, author date: ${commit.authorDate}, committer date: ${commit.committerDate}`);
+      }
+      return {
+        success: true,
+        message: `Commit ${i + 1} created for ${date}`,
+        commitDate: date,
+        commitHash: commit.hash.substring(0, 7),
+        commitFullHash: commit.hash,
+        commitTimestamp: commits[i].timestamp,
+        author: commits[i].author,
+        authorDate: commit.authorDate,
+        committerDate: commit.committerDate,
+        datesVerified,
+        signature: null
+      };
+    });
+    
+    console.log(`[COMMIT] ✅ Wrote ${results.length} commit(s) for date: ${date} on ${branchName}`);
+    
+    return { success: true, results, message: `Created ${results.length} commits` };
+  } catch (error) {
+    return { success: false, message: `Error creating commits: ${error.message}` };
   }
 }
 
@@ -494,9 +771,11 @@ async function createCommits(git, commitCount, date, repoPath = null, coAuthors
  * @param {Object} git - Git instance
  * @param {string} branchName - Name of the branch
  * @param {string} remote - Remote name (default: 'origin')
+ * @param {boolean} forcePush - Whether to force push
+ * @param {boolean} retryWithForce - Force push when the push is rejected as non-fast-forward (default: true)
  * @returns {Promise<Object>}
  */
-async function pushBranch(git, branchName, remote = 'origin', forcePush = false) {
+async function pushBranch(git, branchName, remote = 'origin', forcePush = false, retryWithForce = true) {
   try {
     // Check if remote exists
     const remotes = await git.getRemotes();
@@ -524,7 +803,7 @@ async function pushBranch(git, branchName, remote = 'origin', forcePush = false)
     return { success: true, message: `Branch '${branchName}' pushed to ${remote}` };
   } catch (error) {
     // If push fails due to non-fast-forward, try force push if not already tried
-    if (!forcePush && (error.message.includes('non-fast-forward') || error.message.includes('fetch first'))) {
+    if (!forcePush && retryWithForce && (error.message.includes('non-fast-forward') || error.message.includes('fetch first'))) {
       console.log(`[PUSH] Push rejected, attempting force push for ${branchName}`);
       return await pushBranch(git, branchName, remote, true);
     }
@@ -534,6 +813,177 @@ async function pushBranch(git, branchName, remote = 'origin', forcePush = false)
   }
 }
 
+/**
+ * Environment that dates a commit made outside createCommits (initial commit, local merges)
+ * @param {Object} options - { timestamp, setCommitterDate } (no timestamp: now; setCommitterDate defaults to true)
+ * @returns {Object} - GIT_AUTHOR_DATE, and GIT_COMMITTER_DATE unless setCommitterDate is false
+ */
+function getDateEnv(options) {
+  if (!options.timestamp) {
+    return {};
+  }
+  return {
+    GIT_AUTHOR_DATE: options.timestamp,
+    ...(options.setCommitterDate !== false ? { GIT_COMMITTER_DATE: options.timestamp } : {})
+  };
+}
+
+/**
+ * Give a repository without commits an empty initial commit on the base branch
+ * Local-only runs often start from a new directory; branches need a commit to start from.
+ * @param {Object} git - Git instance
+ * @param {string} baseBranch - Branch to create (default: 'main')
+ * @param {Object} options - Optional settings
+ * @param {string} options.repoPath - Repository path (needed to date and sign the commit)
+ * @param {string} options.timestamp - Date of the commit (default: now)
+ * @param {boolean} options.setCommitterDate - Set the committer date to the timestamp as well (default: true)
+ * @param {Object} options.signing - Sign the commit (see resolveSigning)
+ * @param {string} options.writer - 'plumbing' writes the commit without checking out the base branch (default: 'worktree')
+ * @returns {Promise<Object>} - { success, message, created }
+ */
+async function ensureInitialCommit(git, baseBranch = 'main', options = {}) {
+  // rev-parse prints nothing (rather than failing) when HEAD has no commit yet; a plumbing run
+  // leaves HEAD without commits but creates branches
+  const head = (await git.raw(['rev-parse', '--verify', '-q', 'HEAD'])).trim();
+  const branch = (await git.raw(['for-each-ref', '--count=1', '--format=%(refname)', 'refs/heads'])).trim();
+  if (head || branch) {
+    return { success: true, message: 'Repository already has commits', created: false };
+  }
+  
+  const signingSetup = options.signing ? prepareSigning(options.signing) : null;
+  try {
+    const dateEnv = getDateEnv(options);
+    if (options.writer === 'plumbing') {
+      // HEAD, the working tree and the index are left alone (see writeInitialCommit)
+      await plumbing.writeInitialCommit(git, options.repoPath, baseBranch, dateEnv);
+    } else {
+      const commitGit = options.repoPath
+        ? simpleGit(options.repoPath).env({ ...process.env, ...dateEnv, ...(signingSetup ? signingSetup.env : {}) })
+        : git;
+      await git.raw(['symbolic-ref', 'HEAD', `refs/heads/${baseBranch}`]);
+      await commitGit.raw(['commit', '--allow-empty', '--no-verify', '-m', 'Initial commit']);
+      if (signingSetup) {
+        const signature = await readSignature(commitGit, 'HEAD', options.signing);
+        if (!signature.good) {
+          // Leave the repository without commits, as it was
+          await git.raw(['update-ref', '-d', `refs/heads/${baseBranch}`]);
+          throw new Error(`the commit has no valid signature (git reports signature status ${signature.status})`);
+        }
+        console.log(`[INIT] ✅ Signature verified (status ${signature.status}, key ${signature.key})`);
+      }
+    }
+    console.log(`[INIT] Created an empty initial commit on ${baseBranch}`);
+    return { success: true, message: `Created an empty initial commit on ${baseBranch}`, created: true };
+  } catch (error) {
+    return { success: false, message: `Error creating the initial commit: ${error.message}`, created: false };
+  } finally {
+    if (signingSetup) {
+      signingSetup.cleanup();
+    }
+  }
+}
+
+/**
+ * Merge a branch into its base branch locally (local-only mode, in place of a PR merge)
+ * The merge commit is dated like the branch's last commit, so the history stays on its planned dates.
+ * @param {Object} git - Git instance
+ * @param {string} branchName - Branch to merge
+ * @param {string} baseBranch - Branch to merge into
+ * @param {string} method - 'merge' (merge commit), 'squash' (one squashed commit) or 'rebase' (rebase, then fast-forward)
+ * @param {Object} options - Optional settings
+ * @param {string} options.repoPath - Repository path (needed to date and sign the merge commit)
+ * @param {string} options.timestamp - Date of the merge commit (default: now)
+ * @param {boolean} options.setCommitterDate - Set the committer date to the timestamp as well, and keep the planned dates as
+ *   committer dates when rebasing (default: true)
+ * @param {Object} options.signing - Sign the merge commit (see resolveSigning)
+ * @returns {Promise<Object>} - { success, message, method, hash } (hash: the base branch after the merge)
+ */
+async function mergeBranchLocally(git, branchName, baseBranch, method = 'merge', options = {}) {
+  const signingSetup = options.signing ? prepareSigning(options.signing) : null;
+  const signingEnv = signingSetup ? signingSetup.env : {};
+  const dateEnv = getDateEnv(options);
+  // Separate instances keep the date and signing variables out of later commands on git
+  const mergeGit = options.repoPath ? simpleGit(options.repoPath).env({ ...process.env, ...dateEnv, ...signingEnv }) : git;
+  const rebaseGit = options.repoPath ? simpleGit(options.repoPath).env({ ...process.env, ...signingEnv }) : git;
+  let previousBase = null;
+  
+  try {
+    console.log(`[MERGE] Merging ${branchName} into ${baseBranch} locally (${method})`);
+    await git.checkout(baseBranch);
+    previousBase = (await git.revparse([baseBranch])).trim();
+    
+    if (method === 'squash') {
+      await mergeGit.raw(['merge', '--squash', branchName]);
+      await mergeGit.raw(['commit', '--no-verify', '-m', `Squash merge branch '${branchName}'`]);
+    } else if (method === 'rebase') {
+      // Rewritten commits keep their planned dates as committer dates, unless committer dates are not set
+      await rebaseGit.raw(['rebase', ...(options.setCommitterDate !== false ? ['--committer-date-is-author-date'] : []), baseBranch, branchName]);
+      await git.checkout(baseBranch);
+      await git.raw(['merge', '--ff-only', branchName]);
+    } else {
+      await mergeGit.raw(['merge', '--no-ff', '--no-edit', branchName]);
+    }
+    
+    const hash = (await git.revparse([baseBranch])).trim();
+    if (signingSetup) {
+      // The merge (or squash) commit, or every rebased commit
+      const mergedCommits = (await git.raw(['rev-list', '--first-parent', `${previousBase}..${hash}`])).trim().split('\n').filter(Boolean);
+      for (const commit of mergedCommits) {
+        const signature = await readSignature(mergeGit, commit, options.signing);
+        if (!signature.good) {
+          throw new Error(`commit ${commit.substring(0, 7)} has no valid signature (git reports signature status ${signature.status})`);
+        }
+      }
+      console.log(`[MERGE] ✅ Signatures verified (${mergedCommits.length} commit${mergedCommits.length === 1 ? '' : 's'})`);
+    }
+    console.log(`[MERGE] ✅ Merged ${branchName} into ${baseBranch}: ${hash.substring(0, 7)}`);
+    return { success: true, message: `Merged '${branchName}' into '${baseBranch}' (${method})`, method, hash };
+  } catch (error) {
+    console.error(`[MERGE] Error merging ${branchName} into ${baseBranch}:`, error.message);
+    try {
+      await git.raw([method === 'rebase' ? 'rebase' : 'merge', '--abort']);
+    } catch (abortError) {
+      // Nothing to abort
+    }
+    // Move the base branch back if the merge went through with a bad signature
+    if (previousBase && (await git.revparse([baseBranch])).trim() !== previousBase) {
+      await git.raw(['reset', '--hard', previousBase]);
+      console.log(`[MERGE] Reset ${baseBranch} to ${previousBase.substring(0, 7)}`);
+    }
+    return { success: false, message: `Error merging '${branchName}' into '${baseBranch}': ${error.message}`, method, hash: null };
+  } finally {
+    if (signingSetup) {
+      signingSetup.cleanup();
+    }
+  }
+}
+
+/**
+ * Merge a branch into its base branch without a checkout (local-only mode with the plumbing writer)
+ * Gives the same history as mergeBranchLocally for a branch written from the base branch's tip;
+ * see mergeBranch in plumbing.js. Signing is not available with the plumbing writer.
+ * @param {Object} git - Git instance
+ * @param {string} branchName - Branch to merge
+ * @param {string} baseBranch - Branch to merge into
+ * @param {string} method - 'merge' (merge commit), 'squash' (one squashed commit) or 'rebase' (fast-forward)
+ * @param {Object} options - Optional settings
+ * @param {string} options.repoPath - Repository path
+ * @param {string} options.timestamp - Date of the merge commit (default: now)
+ * @param {boolean} options.setCommitterDate - Set the committer date to the timestamp as well (default: true)
+ * @returns {Promise<Object>} - { success, message, method, hash } (hash: the base branch after the merge)
+ */
+async function mergeBranchWithPlumbing(git, branchName, baseBranch, method = 'merge', options = {}) {
+  try {
+    console.log(`[MERGE] Merging ${branchName} into ${baseBranch} without a checkout (${method})`);
+    const hash = await plumbing.mergeBranch(git, options.repoPath, branchName, baseBranch, method, getDateEnv(options));
+    console.log(`[MERGE] ✅ Merged ${branchName} into ${baseBranch}: ${hash.substring(0, 7)}`);
+    return { success: true, message: `Merged '${branchName}' into '${baseBranch}' (${method})`, method, hash };
+  } catch (error) {
+    console.error(`[MERGE] Error merging ${branchName} into ${baseBranch}:`, error.message);
+    return { success: false, message: `Error merging '${branchName}' into '${baseBranch}': ${error.message}`, method, hash: null };
+  }
+}
+
 /**
  * Automatically resolve merge conflicts by combining both versions of files
  * @param {Object} git - Git instance
@@ -549,16 +999,16 @@ async function resolveConflictsAutomatically(git, repoPath, branchName) {
     const status = await git.status();
     const conflictedFiles = status.conflicted || [];
     
+    // Conflict kinds by file (UU both modified, AA both added, DU/UD deleted by us/them, ...)
+    const conflictCodes = {};
+    const rawStatus = await git.raw(['status', '--porcelain']);
+    for (const match of (rawStatus || '').matchAll(/^(DD|AU|UD|UA|DU|AA|UU)\s+(.+)$/gm)) {
+      conflictCodes[match[2].trim()] = match[1];
+    }
+    
     if (conflictedFiles.length === 0) {
       console.log(`[CONFLICT] No conflicted files found, checking git status...`);
-      // Try to get conflicted files from git status
-      const rawStatus = await git.raw(['status', '--porcelain']);
-      if (rawStatus) {
-        const conflictMatches = rawStatus.match(/^UU\s+(.+)$/gm);
-        if (conflictMatches) {
-          conflictedFiles.push(...conflictMatches.map(m => m.replace(/^UU\s+/, '').trim()));
-        }
-      }
+      conflictedFiles.push(...Object.keys(conflictCodes));
     }
     
     console.log(`[CONFLICT] Found ${conflictedFiles.length} conflicted file(s): ${conflictedFiles.join(', ')}`);
@@ -605,6 +1055,20 @@ async function resolveConflictsAutomatically(git, repoPath, branchName) {
       const filePath = path.join(actualRepoPath, file);
       console.log(`[CONFLICT] Checking file: ${filePath}`);
       
+      // Content generators delete and rename files, so one side may have removed the file.
+      // The branch wins: a file it deleted stays deleted, a file only one side has is kept.
+      const conflictCode = conflictCodes[file];
+      if (conflictCode === 'DU' || conflictCode === 'DD') {
+        await git.rm(file);
+        console.log(`[CONFLICT] ✅ Resolved ${file} by keeping the deletion (${conflictCode})`);
+        continue;
+      }
+      if (conflictCode === 'UD' || conflictCode === 'AU' || conflictCode === 'UA') {
+        await git.add(file);
+        console.log(`[CONFLICT] ✅ Resolved ${file} by keeping the file (${conflictCode})`);
+        continue;
+      }
+      
       if (!fs.existsSync(filePath)) {
         console.warn(`[CONFLICT] ⚠️ Conflicted file ${filePath} does not exist, trying alternatives...`);
         // Try relative to current working directory
@@ -693,9 +1157,10 @@ async function resolveConflictsAutomatically(git, repoPath, branchName) {
  */
 function resolveFileConflicts(git, file, content, filePath) {
   try {
-    // Check if it's commits.txt - for this file, we want to combine both versions
-    // For other files, accept current change (ours)
-    if (file === 'commits.txt' || file.endsWith('commits.txt')) {
+    // The content generator that wrote the file decides (see getConflictStrategy):
+    // commits.txt combines both versions, other files accept current change (ours)
+    const { generator, strategy } = getConflictStrategy(file, content);
+    if (strategy === 'union') {
         // For commits.txt, combine both versions to preserve all commits
         // This ensures commits from other merged PRs are not lost
         console.log(`[CONFLICT] Resolving ${file} by combining both versions (preserving all commits)...`);
@@ -757,7 +1222,7 @@ function resolveFileConflicts(git, file, content, filePath) {
         return resolvedContent;
       } else {
         // For other files, accept current change (ours) - keep feature branch version
-        console.log(`[CONFLICT] Resolving ${file} by accepting current change (ours)...`);
+        console.log(`[CONFLICT] Resolving ${file} by accepting current change (ours)${generator ? ` (generated by ${generator})` : ''}...`);
         
         const lines = content.split('\n');
         const resolvedLines = [];
@@ -801,12 +1266,40 @@ function resolveFileConflicts(git, file, content, filePath) {
  * @param {string} baseBranch - Base branch to merge from (usually 'main' or 'master')
  * @param {string} remote - Remote name
  * @param {string} repoPath - Repository path (optional, will try to get from git if not provided)
+ * @param {Object} options - Optional settings
+ * @param {Object} options.signing - Sign the merge (and conflict resolution) commits like the run's commits (see resolveSigning)
  * @returns {Promise<Object>}
  */
-async function updateBranchWithBase(git, branchName, baseBranch, remote = 'origin', repoPath = null) {
+async function updateBranchWithBase(git, branchName, baseBranch, remote = 'origin', repoPath = null, options = {}) {
+  let signingSetup = null;
   try {
     console.log(`[CONFLICT] Attempting to resolve conflicts by updating branch ${branchName} with ${baseBranch}...`);
     
+    // Repositories that require signed commits also reject an unsigned merge commit
+    if (options.signing) {
+      signingSetup = prepareSigning(options.signing);
+      const topLevel = repoPath || (await git.revparse(['--show-toplevel'])).trim();
+      git = simpleGit(topLevel).env({ ...process.env, ...signingSetup.env });
+      console.log(`[CONFLICT] Merge commits will be signed with ${options.signing.key}`);
+    }
+    
+    // Check the signature of the merge (or conflict resolution) commit before it is pushed
+    const checkMergeSignature = async () => {
+      if (!signingSetup) {
+        return null;
+      }
+      const signature = await readSignature(git, 'HEAD', options.signing);
+      if (!signature.good) {
+        return {
+          success: false,
+          message: `Merge commit on ${branchName} has no valid signature (git reports signature status ${signature.status}); the branch is not pushed`,
+          invalidSignature: true
+        };
+      }
+      console.log(`[CONFLICT] ✅ Signature verified (status ${signature.status}, key ${signature.key})`);
+      return null;
+    };
+    
     // Checkout the feature branch
     await git.checkout(branchName);
     console.log(`[CONFLICT] Checked out branch: ${branchName}`);
@@ -834,6 +1327,11 @@ async function updateBranchWithBase(git, branchName, baseBranch, remote = 'origi
       await git.merge([`${remote}/${baseBranch}`, '--no-edit']);
       console.log(`[CONFLICT] ✅ Successfully merged ${baseBranch} into ${branchName}`);
       
+      const signatureFailure = await checkMergeSignature();
+      if (signatureFailure) {
+        return signatureFailure;
+      }
+      
       // Push the updated branch
       console.log(`[CONFLICT] Pushing updated branch ${branchName}...`);
       const pushResult = await pushBranch(git, branchName, remote, true); // Force push since we rewrote history
@@ -918,6 +1416,11 @@ async function updateBranchWithBase(git, branchName, baseBranch, remote = 'origi
             if (resolveResult.success) {
               console.log(`[CONFLICT] ✅ Successfully resolved conflicts automatically`);
               
+              const signatureFailure = await checkMergeSignature();
+              if (signatureFailure) {
+                return signatureFailure;
+              }
+              
               // Push the resolved branch
               console.log(`[CONFLICT] Pushing resolved branch ${branchName}...`);
               const pushResult = await pushBranch(git, branchName, remote, true);
@@ -965,6 +1468,11 @@ async function updateBranchWithBase(git, branchName, baseBranch, remote = 'origi
                 if (resolveResult.success) {
                   console.log(`[CONFLICT] ✅ Successfully resolved conflicts automatically`);
                   
+                  const signatureFailure = await checkMergeSignature();
+                  if (signatureFailure) {
+                    return signatureFailure;
+                  }
+                  
                   // Push the resolved branch
                   console.log(`[CONFLICT] Pushing resolved branch ${branchName}...`);
                   const pushResult = await pushBranch(git, branchName, remote, true);
@@ -1036,6 +1544,10 @@ async function updateBranchWithBase(git, branchName, baseBranch, remote = 'origi
       success: false,
       message: `Error updating branch: ${error.message}`
     };
+  } finally {
+    if (signingSetup) {
+      signingSetup.cleanup();
+    }
   }
 }
 
@@ -1132,9 +1644,10 @@ async function getRemoteUrl(git, remote = 'origin') {
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
  * @param {string} branch - Branch name (default: 'main' or 'master')
+ * @param {string} timeZone - IANA time zone used to group commits by day (default: the server's zone)
  * @returns {Promise<Object>}
  */
-async function getCommitHistory(git, startDate, endDate, branch = null) {
+async function getCommitHistory(git, startDate, endDate, branch = null, timeZone = getDefaultTimeZone()) {
   try {
     // Determine which branch to check
     let branchToCheck = branch;
@@ -1165,11 +1678,8 @@ async function getCommitHistory(git, startDate, endDate, branch = null) {
     
     console.log(`[HISTORY] Fetching commit history for branch: ${branchToCheck}`);
     
-    // Get all commits from the branch
-    const logResult = await git.log({
-      from: branchToCheck,
-      to: branchToCheck
-    });
+    // Get all commits reachable from the branch (a from/to range of the same ref would be empty)
+    const logResult = await git.log([branchToCheck]);
     
     if (!logResult || !logResult.all || logResult.all.length === 0) {
       return { 
@@ -1180,16 +1690,15 @@ async function getCommitHistory(git, startDate, endDate, branch = null) {
       };
     }
     
-    // Filter commits by date range
-    const startTime = startDate.getTime();
-    const endTime = endDate.getTime() + 86400000; // Add 1 day to include end date
+    // Filter commits by calendar day in the run's time zone (start and end are local dates)
+    const startStr = formatDate(startDate);
+    const endStr = formatDate(endDate);
     
     const filteredCommits = logResult.all
       .map(commit => {
         // Parse commit date (can be Date object or string)
         const commitDate = commit.date instanceof Date ? commit.date : new Date(commit.date);
-        const commitTime = commitDate.getTime();
-        const dateStr = commitDate.toISOString().split('T')[0];
+        const dateStr = formatDate(commitDate, timeZone);
         
         return {
           hash: commit.hash,
@@ -1201,11 +1710,7 @@ async function getCommitHistory(git, startDate, endDate, branch = null) {
           timestamp: commitDate.toISOString()
         };
       })
-      .filter(commit => {
-        const commitDate = new Date(commit.date);
-        const commitTime = commitDate.getTime();
-        return commitTime >= startTime && commitTime <= endTime;
-      });
+      .filter(commit => commit.date >= startStr && commit.date <= endStr);
     
     // Group commits by date
     const commitsByDate = {};
@@ -1224,9 +1729,10 @@ async function getCommitHistory(git, startDate, endDate, branch = null) {
       commitsByDate: commitsByDate,
       totalCommits: logResult.all.length,
       branch: branchToCheck,
+      timeZone,
       dateRange: {
-        start: startDate.toISOString().split('T')[0],
-        end: endDate.toISOString().split('T')[0]
+        start: startStr,
+        end: endStr
       }
     };
   } catch (error) {
@@ -1250,11 +1756,20 @@ async function getCommitHistory(git, startDate, endDate, branch = null) {
  * @param {string} repoPath - Repository path
  * @param {Array<string>} coAuthors - Array of co-author emails (optional)
  * @param {number} coAuthorRate - Percentage of commits that should include co-authors (0-100, default: 0)
+ * @param {Object} options - Optional settings passed on to createCommits (e.g., timeZone, seed, commits)
+ * @param {string} options.branchName - Branch to create (default: auto-YYYY-MM-DD)
+ * @param {boolean} options.replaceExistingBranches - Replace the branch if it already exists (default: false, the date fails instead)
+ * @param {Object} options.signing - Sign the commits, and the merge commits of PR conflict resolution (see resolveSigning)
+ * @param {boolean} options.localOnly - Work without a remote: no pull, push or PR (push stays null in the results)
+ * @param {boolean} options.mergeLocally - In local-only mode, merge the branch into its base branch (see mergeBranchLocally)
+ * @param {string} options.mergeMethod - Local merge method: 'merge', 'squash' or 'rebase' (default: 'merge')
+ * @param {string} options.writer - 'plumbing' writes the branch with git fast-import, without checkouts or pulls (see plumbing.js; default: 'worktree')
  * @returns {Promise<Object>}
  */
-async function processDate(git, date, commitCount, remote = 'origin', prOptions = null, repoPath = null, coAuthors = [], coAuthorRate = 0) {
-  const dateStr = require('./dateUtils').formatDate(date);
-  const branchName = `auto-${dateStr}`;
+async function processDate(git, date, commitCount, remote = 'origin', prOptions = null, repoPath = null, coAuthors = [], coAuthorRate = 0, options = {}) {
+  const dateStr = formatDate(date);
+  const branchName = options.branchName || getBranchName(dateStr);
+  const localOnly = options.localOnly === true;
   
   const results = {
     date: dateStr,
@@ -1268,48 +1783,67 @@ async function processDate(git, date, commitCount, remote = 'origin', prOptions
     console.log(`[PROCESS] Processing date: ${dateStr}, creating branch: ${branchName}`);
     
     // Ensure we're on the base branch first (usually 'main' or 'master')
-    // Also pull latest changes to ensure branch is based on latest code
+    // Also pull latest changes to ensure branch is based on latest code.
+    // The plumbing writer only reads the base branch: no checkout, no pull.
+    const usePlumbing = options.writer === 'plumbing';
+    const replaceExisting = options.replaceExistingBranches === true;
     let baseBranch = 'main';
-    try {
-      await git.checkout('main');
-      baseBranch = 'main';
-      // Pull latest changes from remote to ensure we're up to date
-      console.log(`[PROCESS] Pulling latest changes from ${remote}/${baseBranch}...`);
-      try {
-        await git.pull(remote, baseBranch);
-        console.log(`[PROCESS] ✅ Successfully pulled latest changes from ${baseBranch}`);
-      } catch (pullError) {
-        console.warn(`[PROCESS] ⚠️ Could not pull latest changes: ${pullError.message}. Continuing anyway...`);
+    let baseRef = null;
+    let branchResult;
+    if (usePlumbing) {
+      // The branch checks come first: checking the remote fetches it, so its base branch is current
+      branchResult = await createBranch(git, branchName, localOnly ? null : remote, replaceExisting, { checkout: false });
+      if (branchResult.success) {
+        ({ baseBranch, baseRef } = await plumbing.resolveBase(git, localOnly ? null : remote));
+        console.log(`[PROCESS] Writing ${branchName} from ${baseBranch} (${baseRef ? baseRef.substring(0, 7) : 'no commits'}) for date: ${dateStr}`);
       }
-    } catch (e) {
+    } else {
       try {
-        await git.checkout('master');
-        baseBranch = 'master';
-        // Pull latest changes from remote to ensure we're up to date
-        console.log(`[PROCESS] Pulling latest changes from ${remote}/${baseBranch}...`);
-        try {
-          await git.pull(remote, baseBranch);
-          console.log(`[PROCESS] ✅ Successfully pulled latest changes from ${baseBranch}`);
-        } catch (pullError) {
-          console.warn(`[PROCESS] ⚠️ Could not pull latest changes: ${pullError.message}. Continuing anyway...`);
+        await git.checkout('main');
+        baseBranch = 'main';
+        // Pull latest changes from remote to ensure we're up to date (there is no remote in local-only mode)
+        if (!localOnly) {
+          console.log(`[PROCESS] Pulling latest changes from ${remote}/${baseBranch}...`);
+          try {
+            await git.pull(remote, baseBranch);
+            console.log(`[PROCESS] ✅ Successfully pulled latest changes from ${baseBranch}`);
+          } catch (pullError) {
+            console.warn(`[PROCESS] ⚠️ Could not pull latest changes: ${pullError.message}. Continuing anyway...`);
+          }
         }
-      } catch (e2) {
-        // If neither exists, continue with current branch
-        console.log(`[PROCESS] Could not checkout main/master, continuing with current branch`);
-        // Get current branch name
+      } catch (e) {
         try {
-          const currentBranch = await git.revparse(['--abbrev-ref', 'HEAD']);
-          baseBranch = currentBranch;
-        } catch (e3) {
-          baseBranch = 'unknown';
+          await git.checkout('master');
+          baseBranch = 'master';
+          // Pull latest changes from remote to ensure we're up to date (there is no remote in local-only mode)
+          if (!localOnly) {
+            console.log(`[PROCESS] Pulling latest changes from ${remote}/${baseBranch}...`);
+            try {
+              await git.pull(remote, baseBranch);
+              console.log(`[PROCESS] ✅ Successfully pulled latest changes from ${baseBranch}`);
+            } catch (pullError) {
+              console.warn(`[PROCESS] ⚠️ Could not pull latest changes: ${pullError.message}. Continuing anyway...`);
+            }
+          }
+        } catch (e2) {
+          // If neither exists, continue with current branch
+          console.log(`[PROCESS] Could not checkout main/master, continuing with current branch`);
+          // Get current branch name
+          try {
+            const currentBranch = await git.revparse(['--abbrev-ref', 'HEAD']);
+            baseBranch = currentBranch;
+          } catch (e3) {
+            baseBranch = 'unknown';
+          }
         }
       }
     }
     
-    console.log(`[PROCESS] On base branch: ${baseBranch}, creating branch: ${branchName} for date: ${dateStr}`);
-    
-    // Create branch (will handle remote branch deletion if needed)
-    const branchResult = await createBranch(git, branchName, remote, false);
+    // Create branch (an existing one is only replaced when replaceExistingBranches is set)
+    if (!usePlumbing) {
+      console.log(`[PROCESS] On base branch: ${baseBranch}, creating branch: ${branchName} for date: ${dateStr}`);
+      branchResult = await createBranch(git, branchName, localOnly ? null : remote, replaceExisting);
+    }
     results.branchResult = branchResult;
     
     if (!branchResult.success) {
@@ -1317,15 +1851,39 @@ async function processDate(git, date, commitCount, remote = 'origin', prOptions
     }
     
     // Create commits (pass repoPath, coAuthors, and coAuthorRate if available)
-    const commitResult = await createCommits(git, commitCount, dateStr, repoPath, coAuthors, coAuthorRate);
+    const commitResult = usePlumbing
+      ? await createCommitsWithPlumbing(git, branchName, baseRef, commitCount, dateStr, repoPath, coAuthors, coAuthorRate, { ...options, replaceExisting })
+      : await createCommits(git, commitCount, dateStr, repoPath, coAuthors, coAuthorRate, options);
     results.commits = commitResult;
     
     if (!commitResult.success) {
       return { success: false, results, message: `Failed to create commits: ${commitResult.message}` };
     }
     
-    // Push branch (will auto-retry with force if needed)
-    const pushResult = await pushBranch(git, branchName, remote, false);
+    if (localOnly) {
+      // Optionally merge the branch back into its base, as a PR merge would
+      if (options.mergeLocally) {
+        const lastCommit = commitResult.results[commitResult.results.length - 1];
+        const mergeOptions = {
+          repoPath,
+          timestamp: lastCommit ? lastCommit.commitTimestamp : null,
+          setCommitterDate: options.setCommitterDate !== false,
+          signing: options.signing || null
+        };
+        const mergeResult = usePlumbing
+          ? await mergeBranchWithPlumbing(git, branchName, baseBranch, options.mergeMethod || 'merge', mergeOptions)
+          : await mergeBranchLocally(git, branchName, baseBranch, options.mergeMethod || 'merge', mergeOptions);
+        results.merge = mergeResult;
+        if (!mergeResult.success) {
+          return { success: false, results, message: `Failed to merge locally: ${mergeResult.message}` };
+        }
+      }
+      console.log(`[PROCESS] Local-only mode: ${branchName} was not pushed`);
+      return { success: true, results, message: `Successfully processed ${dateStr} (local only)` };
+    }
+    
+    // Push branch (retries with force only when replacing existing branches)
+    const pushResult = await pushBranch(git, branchName, remote, false, replaceExisting);
     results.push = pushResult;
     
     if (!pushResult.success) {
@@ -1387,11 +1945,12 @@ async function processDate(git, date, commitCount, remote = 'origin', prOptions
                 platform: prOptions.platform,
                 autoMerge: prOptions.autoMerge || false,
                 mergeMethod: prOptions.mergeMethod || 'merge',
-                title: `Auto PR for ${dateStr}`,
+                title: branchName === getBranchName(dateStr) ? `Auto PR for ${dateStr}` : `Auto PR for ${dateStr} (${branchName})`,
                 body: `Automated pull request for date ${dateStr}`,
                 git: git,
                 remote: remote,
-                repoPath: repoPath
+                repoPath: repoPath,
+                signing: options.signing || null
               }
             );
             results.pr = prResult;
@@ -1404,6 +1963,11 @@ async function processDate(git, date, commitCount, remote = 'origin', prOptions
             } else {
               console.error(`[PR] ❌ Failed to create PR for ${dateStr}: ${prResult.message}`);
             }
+            
+            // An unsigned merge commit fails the date, like an unsigned commit
+            if (prResult.invalidSignature) {
+              return { success: false, results, message: `Failed to update the PR branch: ${prResult.mergeMessage}` };
+            }
           }
         }
       } catch (error) {
@@ -1425,10 +1989,17 @@ async function processDate(git, date, commitCount, remote = 'origin', prOptions
 
 module.exports = {
   initGit,
+  ensureInitialCommit,
   createBranch,
+  findExistingBranches,
   createCommits,
+  createCommitsWithPlumbing,
+  planCommits,
+  getBranchName,
   pushBranch,
   processDate,
+  mergeBranchLocally,
+  mergeBranchWithPlumbing,
   getRemoteUrl,
   getCommitHistory,
   isRepoUrl,
@@ -0,0 +1,174 @@
+/**
+ * Custom holiday sets (e.g., company holidays) persisted on disk
+ * Each set holds holiday rules in the same format as COUNTRY_HOLIDAYS and can be
+ * combined with a country calendar for a run.
+ */
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./dataStore');
+const { validateHolidayRule } = require('./dateUtils');
+
+const HOLIDAY_SETS_FILE = 'holiday-sets.json';
+
+/**
+ * Load all stored holiday sets
+ * @returns {Array<Object>} - Holiday sets
+ */
+function loadHolidaySets() {
+  const sets = readJson(HOLIDAY_SETS_FILE, []);
+  return Array.isArray(sets) ? sets : [];
+}
+
+/**
+ * Validate the editable fields of a holiday set
+ * @param {Object} input - { name, description, holidays }
+ * @returns {{success: boolean, message?: string, value?: Object}} - Normalized fields on success
+ */
+function validateHolidaySetInput(input) {
+  const { name, description, holidays } = input || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { success: false, message: 'Holiday set name is required' };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { success: false, message: 'Holiday set description must be text' };
+  }
+  if (!Array.isArray(holidays)) {
+    return { success: false, message: 'Holidays must be a list of holiday rules' };
+  }
+  for (let i = 0; i < holidays.length; i++) {
+    const error = validateHolidayRule(holidays[i]);
+    if (error) {
+      return { success: false, message: `Holiday ${i + 1}: ${error}` };
+    }
+  }
+
+  return {
+    success: true,
+    value: {
+      name: name.trim(),
+      description: description ? description.trim() : '',
+      holidays: holidays.map(holiday => ({ ...holiday, name: holiday.name.trim() }))
+    }
+  };
+}
+
+/**
+ * List all holiday sets
+ * @returns {Array<Object>} - Holiday sets sorted by name
+ */
+function listHolidaySets() {
+  return loadHolidaySets().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a holiday set by id
+ * @param {string} id - Holiday set id
+ * @returns {Object|null} - The holiday set, or null if not found
+ */
+function getHolidaySet(id) {
+  return loadHolidaySets().find(set => set.id === id) || null;
+}
+
+/**
+ * Create a holiday set
+ * @param {Object} input - { name, description?, holidays }
+ * @returns {{success: boolean, message?: string, holidaySet?: Object}} - Result
+ */
+function createHolidaySet(input) {
+  const validation = validateHolidaySetInput(input);
+  if (!validation.success) {
+    return validation;
+  }
+
+  const sets = loadHolidaySets();
+  if (sets.some(set => set.name.toLowerCase() === validation.value.name.toLowerCase())) {
+    return { success: false, message: `A holiday set named "${validation.value.name}" already exists` };
+  }
+
+  const now = new Date().toISOString();
+  const holidaySet = { id: crypto.randomBytes(8).toString('hex'), ...validation.value, createdAt: now, updatedAt: now };
+  sets.push(holidaySet);
+  writeJson(HOLIDAY_SETS_FILE, sets);
+  return { success: true, holidaySet };
+}
+
+/**
+ * Replace the name, description and holidays of a holiday set
+ * @param {string} id - Holiday set id
+ * @param {Object} input - { name, description?, holidays }
+ * @returns {{success: boolean, message?: string, notFound?: boolean, holidaySet?: Object}} - Result
+ */
+function updateHolidaySet(id, input) {
+  const sets = loadHolidaySets();
+  const index = sets.findIndex(set => set.id === id);
+  if (index === -1) {
+    return { success: false, notFound: true, message: `Holiday set not found: ${id}` };
+  }
+
+  const validation = validateHolidaySetInput(input);
+  if (!validation.success) {
+    return validation;
+  }
+  if (sets.some(set => set.id !== id && set.name.toLowerCase() === validation.value.name.toLowerCase())) {
+    return { success: false, message: `A holiday set named "${validation.value.name}" already exists` };
+  }
+
+  sets[index] = { ...sets[index], ...validation.value, updatedAt: new Date().toISOString() };
+  writeJson(HOLIDAY_SETS_FILE, sets);
+  return { success: true, holidaySet: sets[index] };
+}
+
+/**
+ * Delete a holiday set
+ * @param {string} id - Holiday set id
+ * @returns {{success: boolean, message?: string, notFound?: boolean}} - Result
+ */
+function deleteHolidaySet(id) {
+  const sets = loadHolidaySets();
+  const remaining = sets.filter(set => set.id !== id);
+  if (remaining.length === sets.length) {
+    return { success: false, notFound: true, message: `Holiday set not found: ${id}` };
+  }
+  writeJson(HOLIDAY_SETS_FILE, remaining);
+  return { success: true };
+}
+
+/**
+ * Look up the holiday sets selected for a run and collect their rules
+ * @param {string[]} ids - Holiday set ids
+ * @returns {{success: boolean, message?: string, holidaySets?: Array<Object>, rules?: Array<Object>}} - Selected sets and their rules (tagged with the set name)
+ */
+function resolveHolidaySets(ids) {
+  if (ids === undefined || ids === null) {
+    return { success: true, holidaySets: [], rules: [] };
+  }
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    return { success: false, message: 'Holiday sets must be a list of holiday set ids' };
+  }
+
+  const sets = loadHolidaySets();
+  const holidaySets = [];
+  for (const id of ids) {
+    const holidaySet = sets.find(set => set.id === id);
+    if (!holidaySet) {
+      return { success: false, message: `Unknown holiday set: ${id}` };
+    }
+    holidaySets.push(holidaySet);
+  }
+
+  return {
+    success: true,
+    holidaySets,
+    rules: holidaySets.flatMap(holidaySet => holidaySet.holidays.map(holiday => ({ ...holiday, set: holidaySet.name })))
+  };
+}
+
+module.exports = {
+  listHolidaySets,
+  getHolidaySet,
+  createHolidaySet,
+  updateHolidaySet,
+  deleteHolidaySet,
+  resolveHolidaySets
+};
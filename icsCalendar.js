@@ -0,0 +1,346 @@
+/**
+ * iCalendar (.ics) import for excluding company holidays and shutdowns
+ * Supports all-day, timed and multi-day events, EXDATE, and simple RRULE recurrences
+ * (FREQ=DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH).
+ */
+
+const fs = require('fs');
+const { formatDate } = require('./dateUtils');
+
+const ICS_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Upper bound on recurrence periods walked per event, so a bad RRULE cannot loop forever
+const MAX_PERIODS = 50000;
+
+/**
+ * Unfold and split iCalendar content into properties
+ * @param {string} content - Raw .ics text
+ * @returns {Array<{name: string, params: Object, value: string}>} - Properties in file order
+ */
+function parseLines(content) {
+  // Lines starting with a space or tab continue the previous line (RFC 5545 §3.1)
+  const unfolded = content.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+
+  return unfolded.split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => {
+      const colon = line.indexOf(':');
+      if (colon === -1) {
+        return null;
+      }
+      const [name, ...paramParts] = line.slice(0, colon).split(';');
+      const params = {};
+      paramParts.forEach(part => {
+        const [key, value] = part.split('=');
+        params[key.toUpperCase()] = value;
+      });
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1).trim() };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse a DATE or DATE-TIME value to a local calendar date
+ * UTC times (ending in Z) are converted to the server's local date; times with a TZID
+ * or floating times keep the date as written.
+ * @param {string} value - e.g. "20241225", "20241225T090000" or "20241225T090000Z"
+ * @returns {{date: Date, allDay: boolean, midnight: boolean}|null} - Parsed value, or null if invalid
+ */
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (hour === undefined) {
+    return { date: new Date(+year, +month - 1, +day), allDay: true, midnight: true };
+  }
+
+  const moment = utc
+    ? new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second))
+    : new Date(+year, +month - 1, +day, +hour, +minute, +second);
+  return {
+    date: new Date(moment.getFullYear(), moment.getMonth(), moment.getDate()),
+    allDay: false,
+    midnight: moment.getHours() === 0 && moment.getMinutes() === 0 && moment.getSeconds() === 0
+  };
+}
+
+/**
+ * Parse an ISO 8601 duration (e.g. "P3D", "P1W", "PT8H") to a number of days
+ * @param {string} value - Duration value
+ * @returns {number} - Whole days (partial days round up), 0 if unparseable
+ */
+function parseDurationDays(value) {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) {
+    return 0;
+  }
+  const [, weeks, days, hours, minutes, seconds] = match.map(part => parseInt(part) || 0);
+  return weeks * 7 + days + Math.ceil((hours * 3600 + minutes * 60 + seconds) / 86400);
+}
+
+/**
+ * Parse an RRULE value into its parts
+ * @param {string} value - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR"
+ * @returns {Object} - { freq, interval, count, until, byDay, byMonthDay, byMonth }
+ */
+function parseRRule(value) {
+  const parts = {};
+  value.split(';').forEach(part => {
+    const [key, partValue] = part.split('=');
+    if (key && partValue !== undefined) {
+      parts[key.toUpperCase()] = partValue;
+    }
+  });
+
+  const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+  const unsupported = Object.keys(parts).filter(key => !supported.includes(key));
+  if (unsupported.length > 0) {
+    console.warn(`[ICS] Ignoring unsupported RRULE parts: ${unsupported.join(', ')}`);
+  }
+
+  const until = parts.UNTIL ? parseDateValue(parts.UNTIL) : null;
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT) : null,
+    until: until ? until.date : null,
+    byDay: parts.BYDAY
+      ? parts.BYDAY.split(',').map(day => {
+          const dayMatch = /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day.trim().toUpperCase());
+          return dayMatch ? { nth: dayMatch[1] ? parseInt(dayMatch[1]) : null, weekday: ICS_WEEKDAYS[dayMatch[2]] } : null;
+        }).filter(Boolean)
+      : [],
+    byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(day => parseInt(day)).filter(day => !isNaN(day)) : [],
+    byMonth: parts.BYMONTH ? parts.BYMONTH.split(',').map(month => parseInt(month) - 1).filter(month => month >= 0 && month < 12) : []
+  };
+}
+
+/**
+ * Get the days of a month matching BYDAY/BYMONTHDAY, or the anchor day if neither is set
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {Object} rule - Parsed RRULE
+ * @param {Date} anchor - Event start (supplies the default day of month)
+ * @returns {Date[]} - Matching dates in the month, sorted
+ */
+function getMonthOccurrences(year, month, rule, anchor) {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const days = [];
+
+  if (rule.byMonthDay.length > 0) {
+    rule.byMonthDay.forEach(day => days.push(day > 0 ? day : daysInMonth + day + 1));
+  } else if (rule.byDay.length > 0) {
+    rule.byDay.forEach(({ nth, weekday }) => {
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (new Date(year, month, day).getDay() === weekday) {
+          matching.push(day);
+        }
+      }
+      if (nth === null) {
+        days.push(...matching);
+      } else {
+        days.push(nth > 0 ? matching[nth - 1] : matching[matching.length + nth]);
+      }
+    });
+  } else {
+    days.push(anchor.getDate());
+  }
+
+  return [...new Set(days)]
+    .filter(day => day >= 1 && day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map(day => new Date(year, month, day));
+}
+
+/**
+ * Expand an event's start date by its RRULE
+ * @param {Date} start - First occurrence
+ * @param {Object|null} rule - Parsed RRULE, or null for a single occurrence
+ * @param {Date} rangeEnd - Stop generating after this date
+ * @returns {Date[]} - Occurrence start dates
+ */
+function expandOccurrences(start, rule, rangeEnd) {
+  if (!rule) {
+    return [start];
+  }
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    console.warn(`[ICS] Unsupported RRULE frequency: ${rule.freq}; using the first occurrence only`);
+    return [start];
+  }
+
+  const occurrences = [];
+  const limit = rule.until && rule.until < rangeEnd ? rule.until : rangeEnd;
+
+  for (let i = 0, period = 0; i < MAX_PERIODS; i++, period += rule.interval) {
+    let candidates;
+    if (rule.freq === 'DAILY') {
+      candidates = [new Date(start.getFullYear(), start.getMonth(), start.getDate() + period)];
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (the RFC 5545 default WKST)
+      const weekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - ((start.getDay() + 6) % 7) + period * 7);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.getDay()];
+      candidates = [...new Set(weekdays)]
+        .map(weekday => new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + ((weekday + 6) % 7)))
+        .sort((a, b) => a - b);
+    } else if (rule.freq === 'MONTHLY') {
+      const month = new Date(start.getFullYear(), start.getMonth() + period, 1);
+      candidates = getMonthOccurrences(month.getFullYear(), month.getMonth(), rule, start);
+    } else {
+      const year = start.getFullYear() + period;
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [start.getMonth()];
+      candidates = months.sort((a, b) => a - b)
+        .flatMap(month => getMonthOccurrences(year, month, rule, start));
+    }
+
+    // The first candidate of a period only passes the limit once every later one does
+    if (candidates.length > 0 && candidates[0] > limit) {
+      break;
+    }
+
+    for (const candidate of candidates) {
+      if (candidate < start || candidate > limit) {
+        continue;
+      }
+      if (rule.count !== null && occurrences.length >= rule.count) {
+        return occurrences;
+      }
+      occurrences.push(candidate);
+    }
+
+    if (rule.count !== null && occurrences.length >= rule.count) {
+      break;
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Parse the events of an iCalendar file
+ * Cancelled events are skipped.
+ * @param {string} content - Raw .ics text
+ * @returns {Array<{summary: string, start: Date, days: number, rrule: Object|null, exdates: string[]}>} - Events
+ * @throws {Error} - If the content is not an iCalendar file
+ */
+function parseIcs(content) {
+  if (typeof content !== 'string' || !/BEGIN:VCALENDAR/i.test(content)) {
+    throw new Error('Not a valid iCalendar file (missing BEGIN:VCALENDAR)');
+  }
+
+  const events = [];
+  let current = null;
+
+  parseLines(content).forEach(({ name, params, value }) => {
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { summary: '', exdates: [] };
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (current && current.start && current.status !== 'CANCELLED') {
+        let days = 1;
+        if (current.end) {
+          const span = Math.round((current.end.date - current.start.date) / 86400000);
+          // DTEND is exclusive: all-day events and timed events ending at midnight stop the day before
+          days = Math.max(1, current.end.midnight ? span : span + 1);
+        } else if (current.duration) {
+          days = Math.max(1, current.start.allDay
+            ? parseDurationDays(current.duration)
+            : parseDurationDays(current.duration) + 1);
+        }
+        events.push({
+          summary: current.summary || 'Calendar event',
+          start: current.start.date,
+          days,
+          rrule: current.rrule ? parseRRule(current.rrule) : null,
+          exdates: current.exdates
+        });
+      }
+      current = null;
+    } else if (current) {
+      switch (name) {
+        case 'SUMMARY':
+          current.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+          break;
+        case 'DTSTART':
+          current.start = parseDateValue(value);
+          break;
+        case 'DTEND':
+          current.end = parseDateValue(value);
+          break;
+        case 'DURATION':
+          current.duration = value;
+          break;
+        case 'RRULE':
+          current.rrule = value;
+          break;
+        case 'EXDATE':
+          value.split(',').forEach(exdate => {
+            const parsed = parseDateValue(exdate.trim());
+            if (parsed) {
+              current.exdates.push(formatDate(parsed.date));
+            }
+          });
+          break;
+        case 'STATUS':
+          current.status = value.toUpperCase();
+          break;
+      }
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Get the dates in a range covered by the events of an iCalendar file
+ * @param {string} content - Raw .ics text
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {Array<{date: string, summary: string}>} - One entry per excluded date (YYYY-MM-DD), sorted
+ * @throws {Error} - If the content is not an iCalendar file
+ */
+function getIcsExclusions(content, startDate, endDate) {
+  const rangeStart = formatDate(startDate);
+  const rangeEnd = formatDate(endDate);
+  const excluded = new Map();
+
+  parseIcs(content).forEach(event => {
+    expandOccurrences(event.start, event.rrule, endDate)
+      .filter(occurrence => !event.exdates.includes(formatDate(occurrence)))
+      .forEach(occurrence => {
+        for (let offset = 0; offset < event.days; offset++) {
+          const date = formatDate(new Date(occurrence.getFullYear(), occurrence.getMonth(), occurrence.getDate() + offset));
+          if (date < rangeStart || date > rangeEnd) {
+            continue;
+          }
+          excluded.set(date, excluded.has(date) ? `${excluded.get(date)}, ${event.summary}` : event.summary);
+        }
+      });
+  });
+
+  return [...excluded.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, summary]) => ({ date, summary }));
+}
+
+/**
+ * Read an iCalendar file from a local path (desktop app only)
+ * @param {string} filePath - Path to the .ics file
+ * @returns {string} - File content
+ * @throws {Error} - If the file cannot be read
+ */
+function readIcsFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read calendar file ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseIcs,
+  getIcsExclusions,
+  readIcsFile
+};
@@ -0,0 +1,202 @@
+/**
+ * Lunar, lunisolar and astronomical calendar support for holiday rules
+ * Chinese, Korean (dangi) and Islamic (Umm al-Qura) dates are converted with the
+ * calendars built into Intl (ICU); Hindu festivals use bundled date tables.
+ */
+
+/**
+ * Hindu festival dates (MM-DD) by year
+ * These follow the Hindu lunisolar calendar, which has no Intl implementation.
+ * Extend the tables to support years outside 2015-2030.
+ */
+const HINDU_FESTIVAL_DATES = {
+  diwali: {
+    2015: '11-11', 2016: '10-30', 2017: '10-19', 2018: '11-07',
+    2019: '10-27', 2020: '11-14', 2021: '11-04', 2022: '10-24',
+    2023: '11-12', 2024: '10-31', 2025: '10-20', 2026: '11-08',
+    2027: '10-29', 2028: '10-17', 2029: '11-05', 2030: '10-26',
+  },
+  holi: {
+    2015: '03-06', 2016: '03-24', 2017: '03-13', 2018: '03-02',
+    2019: '03-21', 2020: '03-10', 2021: '03-29', 2022: '03-18',
+    2023: '03-08', 2024: '03-25', 2025: '03-14', 2026: '03-04',
+    2027: '03-22', 2028: '03-11', 2029: '03-01', 2030: '03-20',
+  },
+};
+
+// Intl calendar identifiers for the holiday rule `calendar` values
+const INTL_CALENDARS = {
+  chinese: 'chinese',
+  dangi: 'dangi',
+  hijri: 'islamic-umalqura',
+};
+
+const formatterCache = new Map();
+const calendarIndexCache = new Map();
+const warnedMissing = new Set();
+
+/**
+ * Log a warning only once per key (holiday lookups run for every date in a range)
+ * @param {string} key - De-duplication key
+ * @param {string} message - Warning message
+ */
+function warnOnce(key, message) {
+  if (!warnedMissing.has(key)) {
+    warnedMissing.add(key);
+    console.warn(message);
+  }
+}
+
+/**
+ * Get a cached month/day formatter for a calendar
+ * @param {string} calendar - Holiday rule calendar ('chinese', 'dangi' or 'hijri')
+ * @returns {Intl.DateTimeFormat|null} - Formatter, or null if the runtime lacks the calendar
+ */
+function getFormatter(calendar) {
+  if (formatterCache.has(calendar)) {
+    return formatterCache.get(calendar);
+  }
+
+  const intlCalendar = INTL_CALENDARS[calendar];
+  let formatter = null;
+  if (intlCalendar) {
+    const candidate = new Intl.DateTimeFormat(`en-u-ca-${intlCalendar}`, {
+      timeZone: 'UTC',
+      month: 'numeric',
+      day: 'numeric'
+    });
+    // Runtimes built with small-icu silently fall back to the Gregorian calendar
+    if (candidate.resolvedOptions().calendar === intlCalendar) {
+      formatter = candidate;
+    }
+  }
+
+  if (!formatter) {
+    warnOnce(`calendar:${calendar}`, `[HOLIDAYS] Calendar '${calendar}' is not supported by this runtime; its holidays will be skipped`);
+  }
+  formatterCache.set(calendar, formatter);
+  return formatter;
+}
+
+/**
+ * Build a month/day lookup for a calendar around a Gregorian year
+ * Covers December of the previous year through January of the next so that
+ * rules with an offset near the year boundary still resolve.
+ * @param {string} calendar - Holiday rule calendar
+ * @param {number} year - Gregorian year
+ * @returns {Map<string, Date[]>} - Map of "month/day" to Gregorian dates (local midnight)
+ */
+function getCalendarIndex(calendar, year) {
+  const cacheKey = `${calendar}:${year}`;
+  if (calendarIndexCache.has(cacheKey)) {
+    return calendarIndexCache.get(cacheKey);
+  }
+
+  const index = new Map();
+  const formatter = getFormatter(calendar);
+
+  if (formatter) {
+    const current = new Date(Date.UTC(year - 1, 11, 1));
+    const last = new Date(Date.UTC(year + 1, 0, 31));
+
+    while (current <= last) {
+      const parts = formatter.formatToParts(current);
+      const month = parts.find(part => part.type === 'month').value;
+      const day = parts.find(part => part.type === 'day').value;
+      // Leap months are reported as e.g. "4bis" and never match a regular holiday month
+      const key = `${month}/${day}`;
+      if (!index.has(key)) {
+        index.set(key, []);
+      }
+      index.get(key).push(new Date(current.getUTCFullYear(), current.getUTCMonth(), current.getUTCDate()));
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+  }
+
+  calendarIndexCache.set(cacheKey, index);
+  return index;
+}
+
+/**
+ * Find the Gregorian dates of a lunar or Hijri month/day around a Gregorian year
+ * A Hijri date can occur twice in one Gregorian year, so all matches are returned.
+ * @param {string} calendar - 'chinese', 'dangi' or 'hijri'
+ * @param {number} year - Gregorian year
+ * @param {number} month - Month in that calendar (1-based)
+ * @param {number} day - Day of month
+ * @returns {Date[]} - Matching dates from December of the previous year to January of the next
+ */
+function findCalendarDates(calendar, year, month, day) {
+  return getCalendarIndex(calendar, year).get(`${month}/${day}`) || [];
+}
+
+/**
+ * Get a festival date from the bundled tables
+ * @param {Object} table - Year to 'MM-DD' map (see HINDU_FESTIVAL_DATES)
+ * @param {number} year - Gregorian year
+ * @param {string} name - Holiday name (for the missing-year warning)
+ * @returns {Date|null} - The date, or null if the year is not in the table
+ */
+function getTableDate(table, year, name) {
+  const monthDay = table && table[year];
+  if (!monthDay) {
+    warnOnce(`table:${name}:${year}`, `[HOLIDAYS] No date for ${name} in ${year}; it will not be excluded`);
+    return null;
+  }
+  const [month, day] = monthDay.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Apparent ecliptic longitude of the Sun (low-precision solar coordinates, ~0.01°)
+ * @param {number} timestamp - Milliseconds since the Unix epoch (UTC)
+ * @returns {number} - Longitude in degrees (0-360)
+ */
+function getSolarLongitude(timestamp) {
+  const julianDay = timestamp / 86400000 + 2440587.5;
+  const t = (julianDay - 2451545.0) / 36525;
+  const rad = Math.PI / 180;
+
+  const meanLongitude = 280.46646 + 36000.76983 * t + 0.0003032 * t * t;
+  const meanAnomaly = (357.52911 + 35999.05029 * t - 0.0001537 * t * t) * rad;
+  const center = (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(meanAnomaly)
+    + (0.019993 - 0.000101 * t) * Math.sin(2 * meanAnomaly)
+    + 0.000289 * Math.sin(3 * meanAnomaly);
+  const omega = (125.04 - 1934.136 * t) * rad;
+  const apparent = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega);
+
+  return ((apparent % 360) + 360) % 360;
+}
+
+/**
+ * Get the local date on which the Sun reaches an ecliptic longitude
+ * Used for solar terms (e.g., Qingming at 15°) and equinoxes (0° and 180°).
+ * @param {number} year - Gregorian year
+ * @param {number} longitude - Target solar longitude in degrees
+ * @param {number} utcOffset - Hours east of UTC for the country observing the term
+ * @returns {Date} - Date (local midnight) containing the moment of the solar term
+ */
+function getSolarTermDate(year, longitude, utcOffset = 0) {
+  // Start from the mean position (0° is around March 20) and refine with Newton steps
+  const dayOfYear = 79 + (((longitude % 360) + 360) % 360) / 360 * 365.2422;
+  let timestamp = Date.UTC(year, 0, 1) + dayOfYear * 86400000;
+
+  for (let i = 0; i < 10; i++) {
+    let delta = longitude - getSolarLongitude(timestamp);
+    delta = ((delta + 540) % 360) - 180; // Normalize to -180..180
+    timestamp += (delta / 0.98564736) * 86400000; // Mean solar motion in degrees per day
+    if (Math.abs(delta) < 1e-6) {
+      break;
+    }
+  }
+
+  const local = new Date(timestamp + utcOffset * 3600000);
+  return new Date(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+}
+
+module.exports = {
+  findCalendarDates,
+  getTableDate,
+  getSolarTermDate,
+  HINDU_FESTIVAL_DATES
+};
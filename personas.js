@@ -0,0 +1,142 @@
+/**
+ * Fixture personas: the author identities commits rotate through
+ * A personas file is a JSON array of { name, email, weight?, workingHours? }. Each planned
+ * commit gets an author picked by weight among the personas whose working hours include the
+ * commit's local time, and is committed with `--author` (co-author trailers are added as before).
+ */
+
+const fs = require('fs');
+const { normalizeTimeWindows } = require('./dateUtils');
+
+const MAX_PERSONAS = 1000;
+
+/**
+ * Validate one persona
+ * @param {Object} entry - Raw persona from the file
+ * @returns {{error?: string, persona?: Object}} - Normalized persona, or the problem with it
+ */
+function validatePersona(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: 'must be an object with name and email' };
+  }
+  const unknown = Object.keys(entry).find(key => !['name', 'email', 'weight', 'workingHours'].includes(key));
+  if (unknown !== undefined) {
+    return { error: `unknown field "${unknown}" (expected name, email, weight, workingHours)` };
+  }
+  const { name, email, weight = 1, workingHours } = entry;
+
+  if (typeof name !== 'string' || name.trim() === '' || /[<>\r\n]/.test(name)) {
+    return { error: `name must be text without < > or line breaks (got ${JSON.stringify(name)})` };
+  }
+  if (typeof email !== 'string' || !/^[^<>\s@]+@[^<>\s@]+$/.test(email.trim())) {
+    return { error: `email must be an email address (got ${JSON.stringify(email)})` };
+  }
+  if (typeof weight !== 'number' || !isFinite(weight) || weight <= 0) {
+    return { error: `weight must be a number greater than 0 (got ${JSON.stringify(weight)})` };
+  }
+
+  let hours = null;
+  if (workingHours !== undefined && workingHours !== null) {
+    hours = normalizeTimeWindows(typeof workingHours === 'string' ? workingHours.split(',') : workingHours);
+    if (!hours) {
+      return { error: 'workingHours must be non-overlapping HH:MM-HH:MM ranges, e.g. "09:00-17:00" or ["08:00-12:00", "13:00-16:00"]' };
+    }
+  }
+
+  return { persona: { name: name.trim(), email: email.trim(), weight, workingHours: hours } };
+}
+
+/**
+ * Parse and validate a personas file
+ * @param {string|Array<Object>} input - JSON text or an already parsed array
+ * @returns {{error?: string, personas?: Array<{name: string, email: string, weight: number, workingHours: Array<Object>|null}>}} - Personas in file order
+ */
+function parsePersonas(input) {
+  let entries = input;
+  if (typeof input === 'string') {
+    try {
+      entries = JSON.parse(input);
+    } catch (error) {
+      return { error: `Invalid personas file: ${error.message}` };
+    }
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { error: 'Personas must be a non-empty JSON array of { name, email, weight, workingHours }' };
+  }
+  if (entries.length > MAX_PERSONAS) {
+    return { error: `The personas file lists ${entries.length} personas; the limit is ${MAX_PERSONAS}` };
+  }
+
+  const personas = [];
+  for (let i = 0; i < entries.length; i++) {
+    const { error, persona } = validatePersona(entries[i]);
+    if (error) {
+      return { error: `Persona ${i + 1}: ${error}` };
+    }
+    personas.push(persona);
+  }
+  return { personas };
+}
+
+/**
+ * Read a personas file from disk
+ * @param {string} filePath - Path to the JSON file
+ * @returns {string} - File content
+ */
+function readPersonasFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Check whether a persona works at a commit's local time
+ * @param {Object} persona - Normalized persona
+ * @param {string} timestamp - Commit timestamp with the run's offset (YYYY-MM-DDTHH:MM:SS+hh:mm)
+ * @returns {boolean} - True when the persona has no working hours or the time falls inside them
+ */
+function isWorkingAt(persona, timestamp) {
+  if (!persona.workingHours) {
+    return true;
+  }
+  // The timestamp carries the run's local time, which is what working hours refer to
+  const localTime = timestamp.substring(11, 16);
+  return persona.workingHours.some(window => window.start <= localTime && localTime < window.end);
+}
+
+/**
+ * Pick the author of a commit
+ * Personas working at the commit's time are picked by weight; if nobody works then, all
+ * personas are candidates so every commit still gets an author.
+ * @param {Array<Object>} personas - Normalized personas
+ * @param {string} timestamp - Commit timestamp (see isWorkingAt)
+ * @param {Object} random - Seeded generator from createRandom
+ * @returns {Object} - The persona
+ */
+function pickPersona(personas, timestamp, random) {
+  const working = personas.filter(persona => isWorkingAt(persona, timestamp));
+  const candidates = working.length > 0 ? working : personas;
+  const totalWeight = candidates.reduce((sum, persona) => sum + persona.weight, 0);
+  let target = random.next() * totalWeight;
+  for (const persona of candidates) {
+    target -= persona.weight;
+    if (target < 0) {
+      return persona;
+    }
+  }
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Format a persona as a git author
+ * @param {Object} persona - Normalized persona
+ * @returns {string} - "Name <email>"
+ */
+function formatPersona(persona) {
+  return `${persona.name} <${persona.email}>`;
+}
+
+module.exports = {
+  parsePersonas,
+  readPersonasFile,
+  pickPersona,
+  formatPersona
+};
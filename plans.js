@@ -0,0 +1,197 @@
+/**
+ * Run plans: the concrete dates, branches and commits of a run, stored on disk
+ * A plan is created by POST /api/plan (or imported from a schedule by POST /api/plan/import)
+ * and executed as-is by /api/process-stream?planId=...
+ */
+
+const crypto = require('crypto');
+const { readJson, writeJson, listJson } = require('./dataStore');
+const { planCommits, getBranchName } = require('./gitOperations');
+const { renderTemplate } = require('./commitMessages');
+const { createBranchSlug, renderBranchName, checkPlannedBranchNames } = require('./branchNames');
+const { createRandom } = require('./random');
+
+const PLANS_DIR = 'plans';
+
+/**
+ * Create the branch namer of a plan
+ * Without a template branches get the default names (see getBranchName); with one, each
+ * branch's {slug} comes from the seed so a plan's names are reproducible.
+ * @param {Object} settings - Run settings (seed, branchTemplate)
+ * @returns {function(string, number|null): string} - Names the next branch from its date and its number on that date
+ */
+function createBranchNamer(settings) {
+  if (!settings.branchTemplate) {
+    return (date, branchIndex) => getBranchName(date, branchIndex);
+  }
+  const random = createRandom(`${settings.seed}:branches`);
+  const usedSlugs = new Set();
+  return (date, branchIndex) => renderBranchName(settings.branchTemplate, {
+    date,
+    index: branchIndex || 1,
+    slug: createBranchSlug(random, usedSlugs)
+  });
+}
+
+/**
+ * Build a plan from resolved run settings
+ * @param {Object} run - Run settings (dates, branchesPerDate, commitsPerBranch, timeZone, timeWindows, seed, branchTemplate, messages, personas, coAuthors, coAuthorRate, repository and PR settings)
+ * @returns {{error?: string, plan?: Object}} - Plan with one entry per branch listing its commits, or an error if the branch names cannot be created
+ */
+function buildPlan(run) {
+  const { dates, commitsPerBranch, ...settings } = run;
+  const branchesPerDate = settings.branchesPerDate || 1;
+  const nameBranch = createBranchNamer(settings);
+  // A date with several branches gets auto-YYYY-MM-DD-1, -2, ...; commitsPerBranch lists them date by date
+  let sequenceStart = 0;
+  const branches = dates.flatMap((date, dateIndex) => Array.from({ length: branchesPerDate }, (_, i) => {
+    const branchIndex = branchesPerDate > 1 ? i + 1 : null;
+    const branch = nameBranch(date, branchIndex);
+    const commitCount = commitsPerBranch[dateIndex * branchesPerDate + i];
+    const commits = planCommits(commitCount, date, settings.coAuthors, settings.coAuthorRate, {
+      timeZone: settings.timeZone,
+      timeWindows: settings.timeWindows,
+      seed: settings.seed,
+      messages: settings.messages,
+      personas: settings.personas,
+      branchName: branch,
+      sequenceStart,
+      branchIndex
+    });
+    sequenceStart += commitCount;
+    return { date, branch, commits };
+  }));
+
+  const namesError = checkPlannedBranchNames(branches.map(branch => branch.branch));
+  if (namesError) {
+    return { error: namesError };
+  }
+  return { plan: { ...settings, branches } };
+}
+
+/**
+ * Build a plan from an imported schedule (see schedule.js)
+ * Rows with the same branch (by default named by the branch template) become one branch, with the commits in
+ * row order; a row's message (a template, like the messages setting) and author apply to each
+ * of its commits (a row's author takes precedence over the personas).
+ * @param {Array<Object>} rows - Rows from parseSchedule
+ * @param {Object} settings - Run settings (timeZone, timeWindows, seed, branchTemplate, messages, personas, coAuthors, coAuthorRate, repository and PR settings)
+ * @returns {{error?: string, plan?: Object}} - Plan, or an error naming the offending row
+ */
+function buildScheduledPlan(rows, settings) {
+  const nameBranch = createBranchNamer(settings);
+  // Rows without a branch share one templated branch per date
+  const dateBranches = new Map();
+  const branchRows = new Map();
+  for (const row of rows) {
+    if (!row.branch && !dateBranches.has(row.date)) {
+      dateBranches.set(row.date, nameBranch(row.date, null));
+    }
+    const branch = row.branch || dateBranches.get(row.date);
+    if (!branchRows.has(branch)) {
+      branchRows.set(branch, []);
+    }
+    const previous = branchRows.get(branch)[0];
+    if (previous && previous.date !== row.date) {
+      return { error: `Row ${row.row}: branch ${branch} is already used for ${previous.date} (row ${previous.row}); each branch holds a single date` };
+    }
+    branchRows.get(branch).push(row);
+  }
+
+  const dates = [...new Set(rows.map(row => row.date))];
+  const branchesOnDate = date => [...branchRows.values()].filter(entries => entries[0].date === date).length;
+  const seenOnDate = new Map();
+  let sequenceStart = 0;
+  const branches = [...branchRows].map(([branch, entries]) => {
+    const date = entries[0].date;
+    seenOnDate.set(date, (seenOnDate.get(date) || 0) + 1);
+    const rowCommits = entries.flatMap(entry => Array.from({ length: entry.count }, () => entry));
+    const commits = planCommits(rowCommits.length, date, settings.coAuthors, settings.coAuthorRate, {
+      timeZone: settings.timeZone,
+      timeWindows: settings.timeWindows,
+      seed: settings.seed,
+      messages: settings.messages,
+      personas: settings.personas,
+      branchName: branch,
+      sequenceStart,
+      branchIndex: branchesOnDate(date) > 1 ? seenOnDate.get(date) : null
+    }).map((commit, i) => ({
+      ...commit,
+      message: rowCommits[i].message ? renderTemplate(rowCommits[i].message, { date, index: i + 1, branch }) : commit.message,
+      ...(rowCommits[i].author ? { author: rowCommits[i].author } : {})
+    }));
+    sequenceStart += commits.length;
+    return { date, branch, commits };
+  });
+
+  const namesError = checkPlannedBranchNames(branches.map(branch => branch.branch));
+  if (namesError) {
+    return { error: namesError };
+  }
+
+  const sortedDates = [...dates].sort();
+  return {
+    plan: {
+      ...settings,
+      source: 'import',
+      startDate: sortedDates[0],
+      endDate: sortedDates[sortedDates.length - 1],
+      numBranches: dates.length,
+      totalCommits: branches.reduce((sum, branch) => sum + branch.commits.length, 0),
+      branches
+    }
+  };
+}
+
+/**
+ * Store a plan so it can be executed and inspected later
+ * @param {Object} plan - Plan from buildPlan or buildScheduledPlan
+ * @returns {Object} - The stored plan, with its id and creation time
+ */
+function savePlan(plan) {
+  const storedPlan = { id: crypto.randomBytes(8).toString('hex'), createdAt: new Date().toISOString(), ...plan };
+  writeJson(`${PLANS_DIR}/${storedPlan.id}.json`, storedPlan);
+  return storedPlan;
+}
+
+/**
+ * Get a stored plan by id
+ * @param {string} id - Plan id
+ * @returns {Object|null} - The plan, or null if not found
+ */
+function getPlan(id) {
+  // Ids are generated hex strings; anything else could point outside the plans directory
+  if (typeof id !== 'string' || !/^[0-9a-f]{16}$/.test(id)) {
+    return null;
+  }
+  return readJson(`${PLANS_DIR}/${id}.json`, null);
+}
+
+/**
+ * List stored plans
+ * @returns {Array<Object>} - Plan summaries, newest first
+ */
+function listPlans() {
+  return listJson(PLANS_DIR)
+    .map(fileName => readJson(fileName, null))
+    .filter(Boolean)
+    .map(plan => ({
+      id: plan.id,
+      createdAt: plan.createdAt,
+      startDate: plan.startDate,
+      endDate: plan.endDate,
+      repoPath: plan.repoPath,
+      seed: plan.seed,
+      numBranches: plan.branches.length,
+      totalCommits: plan.totalCommits
+    }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  buildPlan,
+  buildScheduledPlan,
+  savePlan,
+  getPlan,
+  listPlans
+};
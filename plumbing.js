@@ -0,0 +1,385 @@
+/**
+ * Plumbing commit writer
+ * Writes a branch's commits straight into the object database with one `git fast-import` per
+ * branch, instead of a write, `git add`, `git commit` and `git log` per commit, and merges
+ * locally with `commit-tree` and `update-ref`. Nothing is checked out: the working tree and the
+ * index stay as the user left them. Content generators run against an in-memory view of the
+ * branch's tree (see createTreeFiles), so a plan produces the same trees with either writer.
+ */
+
+const simpleGit = require('simple-git');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+
+const WRITERS = ['worktree', 'plumbing'];
+
+// Largest base file a generator may read back (commits.txt and the generated files)
+const MAX_BLOB_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Validate a writer setting
+ * @param {string|undefined} writer - 'worktree' or 'plumbing' (default: 'worktree')
+ * @param {Object} options - Run settings the plumbing writer cannot work with
+ * @param {Object|null} options.signing - Normalized signing setting (see resolveSigning)
+ * @param {boolean} options.autoMerge - PRs are merged automatically (a conflicting PR is updated through a checkout)
+ * @returns {{error?: string, writer?: string}} - Normalized setting or an error
+ */
+function resolveWriter(writer, options = {}) {
+  if (writer === undefined || writer === null || writer === '') {
+    return { writer: 'worktree' };
+  }
+  if (!WRITERS.includes(writer)) {
+    return { error: `Unknown commit writer: ${writer}. Use one of: ${WRITERS.join(', ')}` };
+  }
+  if (writer === 'plumbing' && options.signing) {
+    return { error: 'The plumbing writer cannot sign commits (git fast-import writes unsigned commits). Use the worktree writer to sign' };
+  }
+  if (writer === 'plumbing' && options.autoMerge) {
+    return { error: 'The plumbing writer cannot auto-merge PRs: updating a conflicting PR checks out its branch, which changes the working tree. Use the worktree writer, or turn off autoMerge' };
+  }
+  return { writer };
+}
+
+/**
+ * Read a ref, without failing when it does not exist
+ * @param {Object} git - Git instance
+ * @param {string} ref - Ref name
+ * @returns {Promise<string|null>} - Commit hash, or null
+ */
+async function readRef(git, ref) {
+  // rev-parse prints nothing (rather than failing) for a missing ref with -q
+  const hash = (await git.raw(['rev-parse', '--verify', '-q', `${ref}^{commit}`])).trim();
+  return hash || null;
+}
+
+/**
+ * Find the commit a new branch starts from, without checking out or pulling the base branch
+ * Like the worktree writer, this prefers main, then master, then the current branch. When the
+ * remote's copy of the base branch is ahead of the local one (it was fetched while checking
+ * the branch name, see branchExistsOnRemote), the branch starts from the remote's copy.
+ * @param {Object} git - Git instance
+ * @param {string|null} remote - Remote name (null in local-only mode)
+ * @returns {Promise<{baseBranch: string, baseRef: string|null}>} - Base branch name and commit (null in a repository without commits)
+ */
+async function resolveBase(git, remote) {
+  for (const name of ['main', 'master']) {
+    const local = await readRef(git, `refs/heads/${name}`);
+    const remoteCopy = remote ? await readRef(git, `refs/remotes/${remote}/${name}`) : null;
+    if (local && remoteCopy && local !== remoteCopy) {
+      const mergeBase = (await git.raw(['merge-base', local, remoteCopy])).trim();
+      return { baseBranch: name, baseRef: mergeBase === local ? remoteCopy : local };
+    }
+    if (local || remoteCopy) {
+      return { baseBranch: name, baseRef: local || remoteCopy };
+    }
+  }
+  const currentBranch = await getCheckedOutBranch(git);
+  return { baseBranch: currentBranch || 'HEAD', baseRef: await readRef(git, 'HEAD') };
+}
+
+/**
+ * Get the checked-out branch, which the plumbing writer never moves: its working tree and
+ * index would no longer match it
+ * @param {Object} git - Git instance
+ * @returns {Promise<string|null>} - Branch name, or null when HEAD is detached
+ */
+async function getCheckedOutBranch(git) {
+  const ref = (await git.raw(['symbolic-ref', '-q', 'HEAD'])).trim();
+  return ref.startsWith('refs/heads/') ? ref.substring('refs/heads/'.length) : null;
+}
+
+/**
+ * List the files of a commit
+ * @param {Object} git - Git instance
+ * @param {string|null} ref - Commit (null for an empty tree)
+ * @returns {Promise<Map<string, {mode: string, hash: string}>>} - Repository-relative path to mode and blob hash
+ */
+async function readTree(git, ref) {
+  const entries = new Map();
+  if (!ref) {
+    return entries;
+  }
+  const output = await git.raw(['ls-tree', '-r', '-z', '--full-tree', ref]);
+  for (const record of output.split('\0')) {
+    const tab = record.indexOf('\t');
+    if (tab === -1) {
+      continue;
+    }
+    const [mode, type, hash] = record.substring(0, tab).split(' ');
+    if (type === 'blob') {
+      entries.set(record.substring(tab + 1), { mode, hash });
+    }
+  }
+  return entries;
+}
+
+/**
+ * File access for generators on an in-memory tree
+ * Offers the methods of createWorkingTreeFiles (contentGenerators.js). Base files are read from
+ * the object database when a generator first reads them; changes stay in memory until
+ * writeCommits turns them into fast-import commands.
+ * @param {string} repoPath - Repository path
+ * @param {Map<string, {mode: string, hash: string}>} baseEntries - Files of the base commit (see readTree)
+ * @returns {Object} - File access, plus entry(file) giving a path's current content (null when deleted) and mode
+ */
+function createTreeFiles(repoPath, baseEntries) {
+  const changes = new Map(); // path -> content, or null once deleted
+  const baseContents = new Map();
+  const directories = new Map(); // directory -> paths ever stored in it
+  const addToDirectory = file => {
+    const directory = path.posix.dirname(file);
+    if (!directories.has(directory)) {
+      directories.set(directory, new Set());
+    }
+    directories.get(directory).add(file);
+  };
+  baseEntries.forEach((entry, file) => addToDirectory(file));
+
+  const exists = file => (changes.has(file) ? changes.get(file) !== null : baseEntries.has(file));
+  const read = file => {
+    if (!exists(file)) {
+      throw new Error(`${file} does not exist`);
+    }
+    if (changes.has(file)) {
+      return changes.get(file);
+    }
+    if (!baseContents.has(file)) {
+      baseContents.set(file, execFileSync('git', ['cat-file', 'blob', baseEntries.get(file).hash], {
+        cwd: repoPath, encoding: 'utf8', maxBuffer: MAX_BLOB_SIZE
+      }));
+    }
+    return baseContents.get(file);
+  };
+  const write = (file, content) => {
+    changes.set(file, content);
+    addToDirectory(file);
+  };
+
+  return {
+    exists,
+    read,
+    write,
+    remove: file => changes.set(file, null),
+    rename: (from, to) => {
+      const content = read(from);
+      changes.set(from, null);
+      write(to, content);
+    },
+    list: directory => [...(directories.get(directory) || [])].filter(exists),
+    entry: file => ({
+      content: exists(file) ? read(file) : null,
+      mode: baseEntries.has(file) ? baseEntries.get(file).mode : '100644'
+    })
+  };
+}
+
+/**
+ * Split a git ident ("Name <email> 1700000000 +0100", from `git var`) into who and when
+ * @param {string} ident - Ident line
+ * @returns {{who: string, when: string}} - "Name <email>" and "1700000000 +0100"
+ */
+function parseIdent(ident) {
+  const match = ident.trim().match(/^(.*>) (\d+ [+-]\d{4})$/);
+  if (!match) {
+    throw new Error(`Unexpected git ident: ${ident.trim()}`);
+  }
+  return { who: match[1], when: match[2] };
+}
+
+/**
+ * Format an ISO 8601 timestamp as a git raw date, keeping its UTC offset
+ * @param {string} timestamp - e.g. 2024-03-04T15:05:16+01:00
+ * @returns {string} - e.g. "1709561116 +0100"
+ */
+function toRawDate(timestamp) {
+  const seconds = Math.floor(Date.parse(timestamp) / 1000);
+  const offset = timestamp.match(/([+-])(\d{2}):?(\d{2})$/);
+  return `${seconds} ${offset ? `${offset[1]}${offset[2]}${offset[3]}` : '+0000'}`;
+}
+
+/**
+ * Clean up a commit message the way `git commit -m` does (cleanup mode "whitespace"), so both
+ * writers store the same message
+ * @param {string} message - Commit message
+ * @returns {string} - Message without trailing whitespace or repeated blank lines, ending in a newline
+ */
+function cleanupMessage(message) {
+  const lines = message.split('\n').map(line => line.replace(/\s+$/, ''))
+    .filter((line, i, all) => line !== '' || (i > 0 && all[i - 1] !== ''));
+  while (lines.length > 0 && lines[0] === '') {
+    lines.shift();
+  }
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a fast-import data block
+ * @param {string} text - Content
+ * @returns {string} - "data <bytes>" line followed by the content
+ */
+function dataBlock(text) {
+  return `data ${Buffer.byteLength(text)}\n${text}`;
+}
+
+/**
+ * Run git fast-import on a command stream
+ * @param {string} repoPath - Repository path
+ * @param {string} input - fast-import commands
+ * @param {boolean} force - Allow branch updates that are not fast-forwards
+ * @returns {Promise<void>}
+ */
+function runFastImport(repoPath, input, force) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', ['fast-import', '--quiet', '--done', ...(force ? ['--force'] : [])], { cwd: repoPath });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    // A failing fast-import closes its input early; the exit code reports the failure
+    child.stdin.on('error', () => {});
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim() || `git fast-import exited with code ${code}`));
+      }
+    });
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Write a branch's commits with one git fast-import
+ * The branch is (re)created at baseRef and gets one commit per entry; the working tree, the
+ * index and HEAD are not touched.
+ * @param {Object} git - Git instance
+ * @param {string} repoPath - Repository path
+ * @param {string} branchName - Branch to write
+ * @param {string|null} baseRef - Commit the branch starts from (null for a root commit)
+ * @param {Array<{message: string, timestamp: string, author?: string}>} commits - Commits with their final messages
+ * @param {Object} options - Settings
+ * @param {function(Object, number, Object): string[]} options.applyContent - Changes the files for a commit
+ *   (files, commit number, commit) and returns the touched paths (see applyContentGenerator)
+ * @param {boolean} options.setCommitterDate - Set the committer date to the author date (default: true)
+ * @param {boolean} options.replaceExisting - Replace the branch if it already exists
+ * @returns {Promise<Array<{hash: string, authorDate: string, committerDate: string}>>} - The written commits, oldest first
+ */
+async function writeCommits(git, repoPath, branchName, baseRef, commits, options) {
+  if ((await getCheckedOutBranch(git)) === branchName) {
+    throw new Error(`Branch '${branchName}' is checked out; the plumbing writer does not rewrite the checked-out branch`);
+  }
+
+  const files = createTreeFiles(repoPath, await readTree(git, baseRef));
+  const committer = parseIdent(await git.raw(['var', 'GIT_COMMITTER_IDENT']));
+  const defaultAuthor = parseIdent(await git.raw(['var', 'GIT_AUTHOR_IDENT']));
+  const setCommitterDate = options.setCommitterDate !== false;
+  const ref = `refs/heads/${branchName}`;
+
+  // reset starts the branch over at the base, dropping what an existing branch had
+  const commands = [`reset ${ref}`, ...(baseRef ? [`from ${baseRef}`] : []), ''];
+  commits.forEach((commit, i) => {
+    const touched = [...new Set(options.applyContent(files, i + 1, commit))];
+    const date = toRawDate(commit.timestamp);
+    commands.push(
+      `commit ${ref}`,
+      `author ${commit.author || defaultAuthor.who} ${date}`,
+      `committer ${committer.who} ${setCommitterDate ? date : committer.when}`,
+      dataBlock(cleanupMessage(commit.message))
+    );
+    // Generated paths never need fast-import's path quoting (see the generators' directory check)
+    for (const file of touched) {
+      const entry = files.entry(file);
+      if (entry.content === null) {
+        commands.push(`D ${file}`);
+      } else {
+        commands.push(`M ${entry.mode} inline ${file}`, dataBlock(entry.content));
+      }
+    }
+    commands.push('');
+  });
+  commands.push('done', '');
+
+  await runFastImport(repoPath, commands.join('\n'), options.replaceExisting === true);
+
+  // One log call reads back every hash and date to verify (-n applies before --reverse)
+  const log = await git.raw(['log', '--first-parent', `-n${commits.length}`, '--reverse', '--format=%H%x09%aI%x09%cI', ref]);
+  return log.trim().split('\n').filter(Boolean).map(line => {
+    const [hash, authorDate, committerDate] = line.split('\t');
+    return { hash, authorDate, committerDate };
+  });
+}
+
+/**
+ * Give a repository without commits an empty root commit on the base branch (local-only mode)
+ * HEAD is left as it is: a new repository's HEAD names a branch without commits, so unless that
+ * name is the base branch, the base branch is not checked out and local merges can move it.
+ * @param {Object} git - Git instance
+ * @param {string} repoPath - Repository path
+ * @param {string} baseBranch - Branch to create
+ * @param {Object} dateEnv - GIT_AUTHOR_DATE and GIT_COMMITTER_DATE for the commit (either may be left out: now)
+ * @returns {Promise<string>} - The commit
+ */
+async function writeInitialCommit(git, repoPath, baseBranch, dateEnv = {}) {
+  const emptyTree = execFileSync('git', ['hash-object', '-t', 'tree', '-w', '--stdin'], { cwd: repoPath, input: '' }).toString().trim();
+  const hash = (await simpleGit(repoPath).env({ ...process.env, ...dateEnv })
+    .raw(['commit-tree', emptyTree, '-m', 'Initial commit'])).trim();
+  // The empty old value makes the update fail if the branch was created meanwhile
+  await git.raw(['update-ref', '-m', 'auto-git: initial commit', `refs/heads/${baseBranch}`, hash, '']);
+  return hash;
+}
+
+/**
+ * Merge a branch into its base branch without a checkout (local-only mode)
+ * Only for a branch that contains its base branch's tip, as branches from writeCommits do: the
+ * merged tree is then the branch's tree. 'merge' writes a merge commit, 'squash' a single-parent
+ * commit, and 'rebase' fast-forwards. A checked-out base branch is refused (see getCheckedOutBranch).
+ * @param {Object} git - Git instance
+ * @param {string} repoPath - Repository path
+ * @param {string} branchName - Branch to merge
+ * @param {string} baseBranch - Branch to merge into
+ * @param {string} method - 'merge', 'squash' or 'rebase'
+ * @param {Object} dateEnv - GIT_AUTHOR_DATE and GIT_COMMITTER_DATE for the merge commit (either may be left out: now)
+ * @returns {Promise<string>} - The base branch's commit after the merge
+ */
+async function mergeBranch(git, repoPath, branchName, baseBranch, method, dateEnv = {}) {
+  const baseRef = `refs/heads/${baseBranch}`;
+  const base = await readRef(git, baseRef);
+  const branch = await readRef(git, `refs/heads/${branchName}`);
+  if (!base || !branch) {
+    throw new Error(`Branch '${base ? branchName : baseBranch}' does not exist`);
+  }
+  if ((await git.raw(['merge-base', base, branch])).trim() !== base) {
+    throw new Error(`'${baseBranch}' has commits that '${branchName}' does not; the plumbing writer only merges branches that contain their base`);
+  }
+
+  if ((await getCheckedOutBranch(git)) === baseBranch) {
+    throw new Error(`'${baseBranch}' is checked out, and the plumbing writer does not move the checked-out branch. Check out another branch (or detach HEAD) before the run, or use the worktree writer`);
+  }
+
+  let hash = branch;
+  if (method !== 'rebase') {
+    // Same messages as `git merge --no-edit` and mergeBranchLocally's squash commit
+    const message = method === 'squash'
+      ? `Squash merge branch '${branchName}'`
+      : `Merge branch '${branchName}'${['main', 'master'].includes(baseBranch) ? '' : ` into ${baseBranch}`}`;
+    const parents = method === 'squash' ? ['-p', base] : ['-p', base, '-p', branch];
+    hash = (await simpleGit(repoPath).env({ ...process.env, ...dateEnv })
+      .raw(['commit-tree', `${branch}^{tree}`, ...parents, '-m', message])).trim();
+  }
+  // The old value makes the update fail if the base branch moved meanwhile
+  await git.raw(['update-ref', '-m', `auto-git: ${method} ${branchName}`, baseRef, hash, base]);
+  return hash;
+}
+
+module.exports = {
+  WRITERS,
+  resolveWriter,
+  resolveBase,
+  getCheckedOutBranch,
+  createTreeFiles,
+  writeCommits,
+  writeInitialCommit,
+  mergeBranch
+};
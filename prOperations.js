@@ -431,7 +431,9 @@ async function mergeGitHubPR(repoInfo, prNumber, token, mergeMethod = 'merge', m
               options.git,
               options.branchName,
               options.baseBranch,
-              options.remote
+              options.remote,
+              options.repoPath || null,
+              { signing: options.signing || null }
             );
             
             if (updateResult.success) {
@@ -449,6 +451,13 @@ async function mergeGitHubPR(repoInfo, prNumber, token, mergeMethod = 'merge', m
                   requiresManualResolution: true
                 };
               }
+              if (updateResult.invalidSignature) {
+                return {
+                  success: false,
+                  message: `PR #${prNumber} was not updated: ${updateResult.message}`,
+                  invalidSignature: true
+                };
+              }
               console.warn(`[PR] ⚠️ Could not automatically resolve conflicts: ${updateResult.message}`);
               // Continue to return error below
             }
@@ -661,10 +670,12 @@ async function createAndMergePR(repoUrl, branchName, token, options = {}) {
         branchName: branchName,
         baseBranch: baseBranch,
         remote: remote,
-        repoPath: options.repoPath || null
+        repoPath: options.repoPath || null,
+        signing: options.signing || null
       });
       result.merged = mergeResult.success;
       result.mergeMessage = mergeResult.message;
+      result.invalidSignature = mergeResult.invalidSignature === true;
       
       if (mergeResult.success) {
         console.log(`[PR] ✅ PR #${prResult.prNumber} merged successfully`);
@@ -0,0 +1,107 @@
+/**
+ * Seeded random number generation
+ * Every random choice in a run (dates, commit distribution, co-authors) draws from a
+ * generator created here, so a run can be previewed and reproduced from its seed.
+ */
+
+const crypto = require('crypto');
+
+const MAX_SEED_LENGTH = 100;
+
+/**
+ * Generate a new seed for runs that do not specify one
+ * @returns {string} - Random 8-character hex seed
+ */
+function generateSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Validate and normalize a user-supplied seed
+ * @param {string|number|undefined|null} seed - Seed from the request (missing means generate one)
+ * @returns {string|null} - Seed as a string, or null if it is not usable
+ */
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return generateSeed();
+  }
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return String(seed);
+  }
+  if (typeof seed === 'string' && seed.trim().length > 0 && seed.trim().length <= MAX_SEED_LENGTH) {
+    return seed.trim();
+  }
+  return null;
+}
+
+/**
+ * Hash a string into a 32-bit integer (FNV-1a followed by a murmur3 finalizer)
+ * @param {string} value - String to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Create a random number generator (mulberry32)
+ * The same seed always produces the same sequence, on every platform.
+ * @param {string} seed - Seed (see normalizeSeed)
+ * @returns {{seed: string, next: Function, int: Function, shuffle: Function}} - Generator
+ */
+function createRandom(seed) {
+  let state = hashString(String(seed));
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number} - Random number
+   */
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} - Random integer
+   */
+  function int(max) {
+    return Math.floor(next() * max);
+  }
+
+  /**
+   * Shuffled copy of an array (Fisher-Yates)
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} - New array in random order
+   */
+  function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  return { seed: String(seed), next, int, shuffle };
+}
+
+module.exports = {
+  generateSeed,
+  normalizeSeed,
+  createRandom
+};
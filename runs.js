@@ -0,0 +1,265 @@
+/**
+ * Run records: what a processing run actually did, stored on disk
+ * A record is saved when /api/process-stream finishes, and reports (CSV, JSON, Markdown)
+ * are rendered from the stored record rather than from what the browser received.
+ */
+
+const crypto = require('crypto');
+const { readJson, writeJson, listJson } = require('./dataStore');
+
+const RUNS_DIR = 'runs';
+
+const REPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+/**
+ * Generate a run id
+ * Runs get their id when they start, so commit messages can include it ({runId})
+ * @returns {string} - 16 hex characters
+ */
+function createRunId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Summarize the result of one branch for the run record
+ * @param {Object} plannedBranch - Branch from the plan ({ date, branch, commits })
+ * @param {Object} result - Result of processDate for that branch
+ * @returns {Object} - Branch entry with commits, push, PR and merge status
+ */
+function summarizeBranch(plannedBranch, result) {
+  const details = (result && result.results) || {};
+  const commits = details.commits && Array.isArray(details.commits.results) ? details.commits.results : [];
+  const pr = details.pr || null;
+
+  let pushStatus = 'skipped';
+  if (details.push) {
+    pushStatus = details.push.success ? 'pushed' : 'failed';
+  }
+  let mergeStatus = 'not requested';
+  let mergeMessage = pr && pr.mergeMessage ? pr.mergeMessage : null;
+  if (pr && pr.merged !== undefined) {
+    mergeStatus = pr.merged ? 'merged' : 'failed';
+  } else if (details.merge) {
+    // Local-only runs merge into the base branch without a PR
+    mergeStatus = details.merge.success ? 'merged locally' : 'failed';
+    mergeMessage = details.merge.message || null;
+  }
+
+  return {
+    date: plannedBranch.date,
+    // The executed name: a {runId} in the branch template is filled in when the run starts
+    branch: details.branch || plannedBranch.branch,
+    success: Boolean(result && result.success),
+    message: result ? result.message : 'Not processed',
+    plannedCommits: plannedBranch.commits.length,
+    commits: commits.map(commit => ({
+      hash: commit.commitFullHash || commit.commitHash || null,
+      timestamp: commit.commitTimestamp,
+      author: commit.author || null,
+      // { status, key } from `git show --format=%G?%n%GK` when the run signs commits
+      signature: commit.signature || null
+    })),
+    push: {
+      status: pushStatus,
+      message: details.push ? details.push.message || null : null
+    },
+    pr: pr ? {
+      status: pr.success ? 'created' : 'failed',
+      number: pr.prNumber || null,
+      url: pr.prUrl || null,
+      message: pr.message || null
+    } : null,
+    merge: {
+      status: mergeStatus,
+      message: mergeMessage
+    }
+  };
+}
+
+/**
+ * Build a run record from a plan and the results of executing it
+ * @param {Object} plan - Executed plan (stored or built for the run)
+ * @param {Array<Object>} results - processDate results, one per planned branch
+ * @param {{id?: string, startedAt: string, finishedAt: string}} times - Run id (see createRunId) and ISO timestamps of the run
+ * @returns {Object} - Run record (without id if none was given)
+ */
+function buildRunRecord(plan, results, times) {
+  const branches = plan.branches.map((plannedBranch, i) => summarizeBranch(plannedBranch, results[i]));
+  return {
+    ...(times.id ? { id: times.id } : {}),
+    planId: plan.id || null,
+    startedAt: times.startedAt,
+    finishedAt: times.finishedAt,
+    repoPath: plan.repoPath,
+    remote: plan.remote,
+    localOnly: plan.localOnly === true,
+    writer: plan.writer || 'worktree',
+    startDate: plan.startDate,
+    endDate: plan.endDate,
+    timeZone: plan.timeZone,
+    seed: plan.seed,
+    createPR: plan.createPR,
+    autoMerge: plan.autoMerge,
+    summary: {
+      branches: branches.length,
+      succeeded: branches.filter(branch => branch.success).length,
+      failed: branches.filter(branch => !branch.success).length,
+      commitsCreated: branches.reduce((sum, branch) => sum + branch.commits.length, 0),
+      branchesPushed: branches.filter(branch => branch.push.status === 'pushed').length,
+      prsCreated: branches.filter(branch => branch.pr && branch.pr.status === 'created').length,
+      prsMerged: branches.filter(branch => branch.merge.status === 'merged').length,
+      branchesMergedLocally: branches.filter(branch => branch.merge.status === 'merged locally').length
+    },
+    branches
+  };
+}
+
+/**
+ * Store a run record
+ * @param {Object} record - Record from buildRunRecord
+ * @returns {Object} - The stored record, with its id (a new one if the record has none)
+ */
+function saveRun(record) {
+  const { id = createRunId(), ...details } = record;
+  const storedRun = { id, ...details };
+  writeJson(`${RUNS_DIR}/${storedRun.id}.json`, storedRun);
+  return storedRun;
+}
+
+/**
+ * Get a stored run record by id
+ * @param {string} id - Run id
+ * @returns {Object|null} - The record, or null if not found
+ */
+function getRun(id) {
+  // Ids are generated hex strings; anything else could point outside the runs directory
+  if (typeof id !== 'string' || !/^[0-9a-f]{16}$/.test(id)) {
+    return null;
+  }
+  return readJson(`${RUNS_DIR}/${id}.json`, null);
+}
+
+/**
+ * List stored run records
+ * @returns {Array<Object>} - Run summaries, newest first
+ */
+function listRuns() {
+  return listJson(RUNS_DIR)
+    .map(fileName => readJson(fileName, null))
+    .filter(Boolean)
+    .map(run => ({
+      id: run.id,
+      planId: run.planId,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      repoPath: run.repoPath,
+      ...run.summary
+    }))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Quote a value for CSV when needed
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} - Table cell text
+ */
+function markdownCell(value) {
+  const text = value === null || value === undefined || value === '' ? '-' : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a run record as a report
+ * Every format lists, per branch: date, branch, commit hashes, push status, PR number/URL and merge status.
+ * @param {Object} run - Stored run record
+ * @param {string} format - 'csv', 'json' or 'md'
+ * @returns {{contentType: string, fileName: string, body: string}|null} - Report, or null for an unknown format
+ */
+function formatRunReport(run, format) {
+  const reportFormat = REPORT_FORMATS[format];
+  if (!reportFormat) {
+    return null;
+  }
+
+  const rows = run.branches.map(branch => ({
+    date: branch.date,
+    branch: branch.branch,
+    status: branch.success ? 'succeeded' : 'failed',
+    commits: branch.commits.map(commit => commit.hash).filter(Boolean),
+    push: branch.push.status,
+    prNumber: branch.pr ? branch.pr.number : null,
+    prUrl: branch.pr ? branch.pr.url : null,
+    merge: branch.merge.status,
+    message: branch.message
+  }));
+
+  let body;
+  if (format === 'json') {
+    const { branches, ...details } = run;
+    body = JSON.stringify({ ...details, branches: rows }, null, 2);
+  } else if (format === 'csv') {
+    const header = ['date', 'branch', 'status', 'commits', 'push', 'pr_number', 'pr_url', 'merge', 'message'];
+    const lines = rows.map(row => [row.date, row.branch, row.status, row.commits.join(' '), row.push, row.prNumber, row.prUrl, row.merge, row.message]
+      .map(csvCell).join(','));
+    body = [header.join(','), ...lines].join('\n') + '\n';
+  } else {
+    const summary = run.summary;
+    body = [
+      `# Run ${run.id}`,
+      '',
+      `- Repository: ${run.repoPath}`,
+      `- Started: ${run.startedAt}`,
+      `- Finished: ${run.finishedAt}`,
+      `- Dates: ${run.startDate} to ${run.endDate} (${run.timeZone})`,
+      `- Seed: ${run.seed}`,
+      run.planId ? `- Plan: ${run.planId}` : null,
+      `- Branches: ${summary.branches} (${summary.succeeded} succeeded, ${summary.failed} failed)`,
+      `- Commits created: ${summary.commitsCreated}`,
+      run.localOnly
+        ? `- Local only (nothing pushed), merged locally: ${summary.branchesMergedLocally}`
+        : `- Pushed: ${summary.branchesPushed}, PRs: ${summary.prsCreated}, merged: ${summary.prsMerged}`,
+      '',
+      '| Date | Branch | Status | Commits | Push | PR | Merge |',
+      '|------|--------|--------|---------|------|----|-------|',
+      ...rows.map(row => `| ${[
+        row.date,
+        row.branch,
+        row.status,
+        row.commits.map(hash => hash.substring(0, 7)).join(', '),
+        row.push,
+        row.prNumber ? (row.prUrl ? `[#${row.prNumber}](${row.prUrl})` : `#${row.prNumber}`) : '',
+        row.merge
+      ].map(markdownCell).join(' | ')} |`)
+    ].filter(line => line !== null).join('\n') + '\n';
+  }
+
+  return {
+    contentType: reportFormat.contentType,
+    fileName: `run-${run.id}.${reportFormat.extension}`,
+    body
+  };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  createRunId,
+  buildRunRecord,
+  saveRun,
+  getRun,
+  listRuns,
+  formatRunReport
+};
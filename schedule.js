@@ -0,0 +1,237 @@
+/**
+ * Imported commit schedules: exact dates and commit counts from a CSV or JSON file
+ * Each row is { date, count, message?, author?, branch? }. A schedule replaces the random
+ * date and commit selection of a run; see buildScheduledPlan in plans.js.
+ */
+
+const { checkMessageTemplate } = require('./commitMessages');
+const { checkBranchName } = require('./branchNames');
+
+const SCHEDULE_COLUMNS = ['date', 'count', 'message', 'author', 'branch'];
+const MAX_SCHEDULE_ROWS = 10000;
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may contain commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {{error?: string, records?: Array<{line: number, fields: string[]}>}} - Records with the line each starts on
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    return { error: `Row ${recordLine}: unterminated quoted field` };
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+
+  // Blank lines carry no data
+  return { records: records.filter(record => record.fields.some(value => value.trim() !== '')) };
+}
+
+/**
+ * Turn CSV text into schedule entries (the header row names the columns)
+ * @param {string} text - CSV text
+ * @returns {{error?: string, entries?: Array<{row: number, values: Object}>}} - Entries numbered by line, as in a spreadsheet
+ */
+function csvToEntries(text) {
+  const { error, records } = parseCsv(text);
+  if (error) {
+    return { error };
+  }
+  if (records.length === 0) {
+    return { error: 'The schedule is empty' };
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.fields.map(name => name.trim().toLowerCase());
+  const unknown = columns.find(name => !SCHEDULE_COLUMNS.includes(name));
+  if (unknown !== undefined) {
+    return { error: `Row ${header.line}: unknown column "${unknown}" (expected ${SCHEDULE_COLUMNS.join(', ')})` };
+  }
+  if (!columns.includes('date') || !columns.includes('count')) {
+    return { error: `Row ${header.line}: the header must include the date and count columns` };
+  }
+
+  const entries = [];
+  for (const record of rows) {
+    if (record.fields.length > columns.length) {
+      return { error: `Row ${record.line}: ${record.fields.length} values but only ${columns.length} columns` };
+    }
+    const values = {};
+    columns.forEach((name, i) => {
+      const value = (record.fields[i] || '').trim();
+      if (value !== '') {
+        values[name] = value;
+      }
+    });
+    entries.push({ row: record.line, values });
+  }
+  return { entries };
+}
+
+/**
+ * Turn a JSON schedule (an array of row objects) into schedule entries
+ * @param {string|Array<Object>} input - JSON text or an already parsed array
+ * @returns {{error?: string, entries?: Array<{row: number, values: Object}>}} - Entries numbered from 1
+ */
+function jsonToEntries(input) {
+  let rows = input;
+  if (typeof input === 'string') {
+    try {
+      rows = JSON.parse(input);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+  }
+  if (!Array.isArray(rows)) {
+    return { error: 'A JSON schedule must be an array of rows' };
+  }
+
+  const entries = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return { error: `Row ${i + 1}: must be an object with date and count` };
+    }
+    const unknown = Object.keys(row).find(name => !SCHEDULE_COLUMNS.includes(name));
+    if (unknown !== undefined) {
+      return { error: `Row ${i + 1}: unknown field "${unknown}" (expected ${SCHEDULE_COLUMNS.join(', ')})` };
+    }
+    const values = {};
+    for (const name of SCHEDULE_COLUMNS) {
+      if (row[name] !== undefined && row[name] !== null && row[name] !== '') {
+        values[name] = row[name];
+      }
+    }
+    entries.push({ row: i + 1, values });
+  }
+  return { entries };
+}
+
+/**
+ * Validate one schedule entry
+ * @param {Object} values - Raw values from the CSV or JSON row
+ * @returns {{error?: string, value?: Object}} - Normalized row, or the problem with it
+ */
+function validateEntry(values) {
+  const { date, count, message, author, branch } = values;
+
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()) ||
+      new Date(date).toISOString().slice(0, 10) !== date) {
+    return { error: `date must be a valid date in YYYY-MM-DD format (got ${JSON.stringify(date === undefined ? '' : date)})` };
+  }
+  const commitCount = typeof count === 'string' && /^\d+$/.test(count.trim()) ? Number(count) : count;
+  if (!Number.isInteger(commitCount) || commitCount < 1) {
+    return { error: `count must be a whole number of at least 1 (got ${JSON.stringify(count === undefined ? '' : count)})` };
+  }
+  if (message !== undefined && (typeof message !== 'string' || message.trim() === '')) {
+    return { error: 'message must be text' };
+  }
+  const templateError = message !== undefined ? checkMessageTemplate(message.trim()) : null;
+  if (templateError) {
+    return { error: templateError };
+  }
+  if (author !== undefined && (typeof author !== 'string' || !/^[^<>\n]+ <[^<>\s]+@[^<>\s]+>$/.test(author.trim()))) {
+    return { error: `author must look like "Name <email@example.com>" (got ${JSON.stringify(author)})` };
+  }
+  if (branch !== undefined && typeof branch !== 'string') {
+    return { error: `branch must be a valid branch name (got ${JSON.stringify(branch)})` };
+  }
+  const branchError = branch !== undefined ? checkBranchName(branch.trim()) : null;
+  if (branchError) {
+    return { error: `branch ${JSON.stringify(branch)} is not a valid branch name: it ${branchError}` };
+  }
+
+  return {
+    value: {
+      date,
+      count: commitCount,
+      message: message !== undefined ? message.trim() : null,
+      author: author !== undefined ? author.trim() : null,
+      branch: branch !== undefined ? branch.trim() : null
+    }
+  };
+}
+
+/**
+ * Parse and validate a commit schedule
+ * Errors name the offending row: the line number for CSV (the header is row 1, as in a
+ * spreadsheet) and the position in the array for JSON.
+ * @param {string|Array<Object>} schedule - CSV text, JSON text or a parsed JSON array
+ * @param {string} format - 'csv' or 'json' (default: json for arrays and text starting with '[', otherwise csv)
+ * @returns {{error?: string, rows?: Array<{row: number, date: string, count: number, message: string|null, author: string|null, branch: string|null}>}} - Rows in schedule order
+ */
+function parseSchedule(schedule, format) {
+  const scheduleFormat = format || (Array.isArray(schedule) || (typeof schedule === 'string' && schedule.trim().startsWith('[')) ? 'json' : 'csv');
+  if (scheduleFormat !== 'csv' && scheduleFormat !== 'json') {
+    return { error: `Unknown schedule format: ${format}. Use csv or json` };
+  }
+  if (scheduleFormat === 'csv' && typeof schedule !== 'string') {
+    return { error: 'A CSV schedule must be text' };
+  }
+
+  const { error, entries } = scheduleFormat === 'csv' ? csvToEntries(schedule) : jsonToEntries(schedule);
+  if (error) {
+    return { error };
+  }
+  if (entries.length === 0) {
+    return { error: 'The schedule has no rows' };
+  }
+  if (entries.length > MAX_SCHEDULE_ROWS) {
+    return { error: `The schedule has ${entries.length} rows; the limit is ${MAX_SCHEDULE_ROWS}` };
+  }
+
+  const rows = [];
+  for (const entry of entries) {
+    const { error: rowError, value } = validateEntry(entry.values);
+    if (rowError) {
+      return { error: `Row ${entry.row}: ${rowError}` };
+    }
+    rows.push({ row: entry.row, ...value });
+  }
+  return { rows };
+}
+
+module.exports = {
+  parseSchedule
+};
@@ -4,15 +4,31 @@
 
 const express = require('express');
 const path = require('path');
-const { getValidDates, formatDate } = require('./dateUtils');
-const { initGit, processDate, getCommitHistory } = require('./gitOperations');
+const { getValidDates, formatDate, parseDate, isValidTimeZone, getDefaultTimeZone, isValidCountryCode, getDefaultWeekendDays, normalizeWeekendDays, normalizeBlackoutRanges, normalizeTimeWindows, getTimeWindowSeconds, DEFAULT_TIME_WINDOWS, getHolidaysInRange, getHolidaysForYear, getCustomHolidaysInRange, getAvailableCountries, WEEKDAY_NAMES } = require('./dateUtils');
+const { initGit, ensureInitialCommit, processDate, getCommitHistory, findExistingBranches, isRepoUrl } = require('./gitOperations');
 const { followAndStar } = require('./prOperations');
+const { getIcsExclusions, readIcsFile } = require('./icsCalendar');
+const { listHolidaySets, getHolidaySet, createHolidaySet, updateHolidaySet, deleteHolidaySet, resolveHolidaySets } = require('./holidaySets');
+const { normalizeSeed, createRandom } = require('./random');
+const { buildPlan, buildScheduledPlan, savePlan, getPlan, listPlans } = require('./plans');
+const { parseSchedule } = require('./schedule');
+const { REPORT_FORMATS, createRunId, buildRunRecord, saveRun, getRun, listRuns, formatRunReport } = require('./runs');
+const { getDistributionStrategies, resolveDistribution, distributeCommits, describeDistribution } = require('./distribution');
+const { getContentGenerators, resolveContentGenerator, describeContentGenerator } = require('./contentGenerators');
+const { resolveMessageFormat, describeMessageFormat, fillRunId, DEFAULT_TEMPLATE } = require('./commitMessages');
+const { resolveBranchTemplate } = require('./branchNames');
+const { parsePersonas, readPersonasFile } = require('./personas');
+const { resolveSigning, describeSigning } = require('./signing');
+const { resolveWriter, resolveBase, getCheckedOutBranch } = require('./plumbing');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_BRANCHES_PER_DATE = 20;
+// Fields /api/process takes; it keeps its percentage in place of numBranches and totalCommits (see resolveRunSettings)
+const PROCESS_FIELDS = ['startDate', 'endDate', 'percentage', 'repoPath', 'remote', 'country', 'weekendDays', 'calendarIcs', 'calendarPath', 'excludeDates', 'holidaySets', 'blackouts', 'timeZone', 'seed', 'timeWindows', 'setCommitterDate', 'content', 'messages', 'branchTemplate', 'replaceExistingBranches', 'personas', 'personasPath', 'signing', 'localOnly', 'mergeLocally', 'writer', 'coAuthors', 'coAuthorRate', 'createPR', 'autoMerge', 'prToken', 'baseBranch', 'platform', 'mergeMethod'];
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Room for uploaded .ics calendars
 
 // Handle static files for both development and packaged (pkg) environments
 // pkg bundles files into the executable, so __dirname points to the snapshot directory
@@ -25,10 +41,110 @@ app.get('/', (req, res) => {
 
 // API endpoint to get available countries
 app.get('/api/countries', (req, res) => {
-  const { getAvailableCountries } = require('./dateUtils');
   res.json({ success: true, countries: getAvailableCountries() });
 });
 
+// API endpoint to list commit distribution strategies and their parameters
+app.get('/api/distributions', (req, res) => {
+  res.json({ success: true, strategies: getDistributionStrategies() });
+});
+
+// API endpoint to list the commit content generators and their parameters
+app.get('/api/content-generators', (req, res) => {
+  res.json({ success: true, generators: getContentGenerators() });
+});
+
+// API endpoint to list the holidays of a country (or state/province) for one year
+// Optional holidaySets (comma-separated ids) adds the dates of custom holiday sets
+app.get('/api/holidays', (req, res) => {
+  const countryCode = req.query.country || 'US';
+  const year = req.query.year === undefined ? new Date().getFullYear() : parseInt(req.query.year);
+  
+  if (!isValidCountryCode(countryCode)) {
+    return res.status(400).json({ success: false, message: `Unknown country or region code: ${countryCode}` });
+  }
+  if (isNaN(year) || year < 1583 || year > 9999) {
+    return res.status(400).json({ success: false, message: 'Year must be a number from 1583 to 9999' });
+  }
+  
+  try {
+    const customSets = resolveHolidaySets(req.query.holidaySets ? String(req.query.holidaySets).split(',') : undefined);
+    if (!customSets.success) {
+      return res.status(400).json({ success: false, message: customSets.message });
+    }
+    
+    const country = getAvailableCountries().find(c => c.code === countryCode) || { name: countryCode };
+    res.json({
+      success: true,
+      country: countryCode,
+      countryName: country.parentName ? `${country.parentName} (${country.name})` : country.name,
+      year,
+      weekendDays: getDefaultWeekendDays(countryCode),
+      holidays: getHolidaysForYear(countryCode, year),
+      customHolidays: getCustomHolidaysInRange(customSets.rules, new Date(year, 0, 1), new Date(year, 11, 31))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error loading holidays: ${error.message}` });
+  }
+});
+
+// API endpoints to manage custom holiday sets (persisted on disk)
+app.get('/api/holiday-sets', (req, res) => {
+  try {
+    res.json({ success: true, holidaySets: listHolidaySets() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error loading holiday sets: ${error.message}` });
+  }
+});
+
+app.get('/api/holiday-sets/:id', (req, res) => {
+  try {
+    const holidaySet = getHolidaySet(req.params.id);
+    if (!holidaySet) {
+      return res.status(404).json({ success: false, message: `Holiday set not found: ${req.params.id}` });
+    }
+    res.json({ success: true, holidaySet });
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error loading holiday set: ${error.message}` });
+  }
+});
+
+app.post('/api/holiday-sets', (req, res) => {
+  try {
+    const result = createHolidaySet(req.body);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error saving holiday set: ${error.message}` });
+  }
+});
+
+app.put('/api/holiday-sets/:id', (req, res) => {
+  try {
+    const result = updateHolidaySet(req.params.id, req.body);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error saving holiday set: ${error.message}` });
+  }
+});
+
+app.delete('/api/holiday-sets/:id', (req, res) => {
+  try {
+    const result = deleteHolidaySet(req.params.id);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error deleting holiday set: ${error.message}` });
+  }
+});
+
 // API endpoint to follow GitHub user and star repository
 app.post('/api/github/follow-and-star', async (req, res) => {
   const requestId = Date.now();
@@ -87,11 +203,8 @@ app.post('/api/check', async (req, res) => {
     const { 
       startDate, 
       endDate, 
-      numBranches, 
-      totalCommits,
       repoPath, 
       remote, 
-      country,
       createPR,
       autoMerge,
       prToken,
@@ -102,94 +215,22 @@ app.post('/api/check', async (req, res) => {
     
     console.log(`[${requestId}] [CHECK] Processing request for repo: ${repoPath}`);
     
-    // Validate inputs
-    if (!startDate || !endDate || numBranches === undefined || totalCommits === undefined || !repoPath) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields: startDate, endDate, numBranches, totalCommits, repoPath' 
-      });
-    }
-    
-    const numBranchesNum = parseInt(numBranches);
-    const totalCommitsNum = parseInt(totalCommits);
-    
-    if (isNaN(numBranchesNum) || numBranchesNum < 1) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Number of branches must be at least 1' 
-      });
-    }
-    
-    if (isNaN(totalCommitsNum) || totalCommitsNum < 1) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Total commits must be at least 1' 
-      });
-    }
-    
-    if (totalCommitsNum < numBranchesNum) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Total commits must be at least equal to the number of branches (each branch needs at least 1 commit)' 
-      });
-    }
-    
-    // Parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid date format' 
-      });
-    }
-    
-    if (start > end) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Start date must be before end date' 
-      });
-    }
-    
-    // Get valid dates (excluding Sundays and holidays)
-    const countryCode = country || 'US';
-    const validDates = getValidDates(start, end, countryCode);
-    
-    if (validDates.length === 0) {
+    // Validate inputs, then pick the dates and commit counts for the run
+    const run = resolveRunSettings(req.body);
+    if (run.error) {
+      clearTimeout(timeout);
       return res.status(400).json({ 
         success: false, 
-        message: 'No valid dates found in the specified range (all dates are Sundays or holidays)' 
+        message: run.error 
       });
     }
-    
-    // Automatically adjust number of branches if there aren't enough valid dates
-    let actualNumBranches = numBranchesNum;
-    let adjustedBranches = false;
-    if (validDates.length < numBranchesNum) {
-      actualNumBranches = validDates.length;
-      adjustedBranches = true;
-      console.log(`[${requestId}] [CHECK] Adjusted number of branches from ${numBranchesNum} to ${actualNumBranches} (only ${validDates.length} valid dates available)`);
-    }
-    
-    // Randomly select dates (one per branch)
-    const shuffledDates = [...validDates].sort(() => Math.random() - 0.5);
-    const datesToProcess = shuffledDates.slice(0, actualNumBranches);
+    const { start, end, countryCode, validDates, calendar, customSets, datesToProcess, commitsPerBranch, actualNumBranches, adjustedBranches } = run;
+    const { numBranches: numBranchesNum, totalCommits: totalCommitsNum, timeZone: runTimeZone, seed: runSeed, weekendDays: weekendDaysList, blackouts: blackoutRanges } = run;
     const datesToProcessCount = datesToProcess.length;
-    
-    // Calculate commits per branch distribution
-    const commitsPerBranch = new Array(actualNumBranches).fill(1); // Start with 1 commit per branch
-    let remainingCommits = totalCommitsNum - actualNumBranches; // Remaining commits to distribute
-    
-    // Randomly distribute remaining commits
-    for (let i = 0; i < remainingCommits; i++) {
-      const randomBranch = Math.floor(Math.random() * actualNumBranches);
-      commitsPerBranch[randomBranch]++;
+    if (adjustedBranches) {
+      console.log(`[${requestId}] [CHECK] Adjusted number of branches from ${numBranchesNum} to ${actualNumBranches} (only ${validDates.length} valid dates available)`);
     }
     
-    // Shuffle the commits distribution to make it more random
-    commitsPerBranch.sort(() => Math.random() - 0.5);
-    
     // Get git user info
     let gitUser = { name: '', email: '' };
     let gitRepoInfo = { exists: false, isRepo: false, remotes: [] };
@@ -255,7 +296,7 @@ app.post('/api/check', async (req, res) => {
       if (gitRepoInfo.isRepo && git) {
         try {
           console.log(`[${requestId}] [CHECK] Fetching existing commit history`);
-          const historyResult = await getCommitHistory(git, start, end, baseBranch || 'main');
+          const historyResult = await getCommitHistory(git, start, end, baseBranch || 'main', runTimeZone);
           if (historyResult.success) {
             commitHistory = {
               commits: historyResult.commits || [],
@@ -312,7 +353,7 @@ app.post('/api/check', async (req, res) => {
             // Try to get commit history even if initialization failed
             try {
               console.log(`[${requestId}] [CHECK] Fetching existing commit history (fallback)`);
-              const historyResult = await getCommitHistory(git, start, end, baseBranch || 'main');
+              const historyResult = await getCommitHistory(git, start, end, baseBranch || 'main', runTimeZone);
               if (historyResult.success) {
                 commitHistory = {
                   commits: historyResult.commits || [],
@@ -347,10 +388,12 @@ app.post('/api/check', async (req, res) => {
     gitRepoInfo.isUrl = isUrl;
     gitRepoInfo.actualPath = actualRepoPath;
     
-    // Get country name
-    const { getAvailableCountries } = require('./dateUtils');
+    // Explain every date in the range (shown as a calendar on the confirmation step)
+    const dateStatuses = getValidDates(start, end, countryCode, { weekendDays: weekendDaysList, excludeDates: calendar.exclusions, customHolidays: customSets.rules, blackoutRanges, explain: true });
+    
     const countries = getAvailableCountries();
     const selectedCountry = countries.find(c => c.code === countryCode) || { name: countryCode };
+    const countryName = selectedCountry.parentName ? `${selectedCountry.parentName} (${selectedCountry.name})` : selectedCountry.name;
     
     console.log(`[${requestId}] [CHECK] Sending response. Repo exists: ${gitRepoInfo.exists}, Is repo: ${gitRepoInfo.isRepo}, Remotes: ${gitRepoInfo.remotes.length}`);
     
@@ -362,17 +405,42 @@ app.post('/api/check', async (req, res) => {
         settings: {
           startDate,
           endDate,
-          country: selectedCountry.name,
+          country: countryName,
           countryCode,
+          timeZone: runTimeZone,
+          timeWindows: run.timeWindows,
+          seed: runSeed,
+          setCommitterDate: run.setCommitterDate,
+          content: run.content,
+          messages: run.messages,
+          branchTemplate: run.branchTemplate,
+          replaceExistingBranches: run.replaceExistingBranches,
+          personas: run.personas,
+          signing: run.signing,
+          writer: run.writer,
+          distribution: run.distribution,
+          weekendDays: weekendDaysList,
+          weekendDayNames: weekendDaysList.map(day => WEEKDAY_NAMES[day]),
           numBranches: actualNumBranches,
           requestedBranches: numBranchesNum,
+          branchesPerDate: run.branchesPerDate,
+          totalBranches: commitsPerBranch.length,
           totalCommits: totalCommitsNum,
           commitsPerBranch: commitsPerBranch,
           adjustedBranches: adjustedBranches,
           repoPath,
           actualRepoPath: actualRepoPath,
           remote: remote || 'origin',
+          localOnly: run.localOnly,
+          mergeLocally: run.mergeLocally,
           totalValidDates: validDates.length,
+          holidaysInRange: getHolidaysInRange(start, end, countryCode),
+          calendarExclusions: calendar.exclusions,
+          holidaySets: customSets.holidaySets.map(holidaySet => ({ id: holidaySet.id, name: holidaySet.name })),
+          customHolidaysInRange: getCustomHolidaysInRange(customSets.rules, start, end),
+          blackouts: blackoutRanges,
+          blackoutDatesRemoved: dateStatuses.filter(entry => entry.status === 'blackout').length,
+          dateStatuses,
           datesToProcess: datesToProcessCount,
           validDatesPreview: datesToProcess.slice(0, 10).map(d => formatDate(d)),
           createPR: createPR || false,
@@ -406,6 +474,146 @@ app.post('/api/check', async (req, res) => {
   }
 });
 
+// API endpoint to create a plan: the exact dates, branches, commit counts and co-authors of a run
+// Execute it with /api/process-stream?data={"planId": "..."}
+app.post('/api/plan', (req, res) => {
+  try {
+    const run = resolveRunSettings(req.body || {});
+    if (run.error) {
+      return res.status(400).json({ success: false, message: run.error });
+    }
+    const { error: planError, plan: builtPlan } = buildRunPlan(run, req.body);
+    if (planError) {
+      return res.status(400).json({ success: false, message: planError });
+    }
+    const plan = savePlan(builtPlan);
+    console.log(`[PLAN] Created plan ${plan.id}: ${plan.branches.length} branches, ${plan.totalCommits} commits (seed: ${plan.seed})`);
+    res.status(201).json({ success: true, plan });
+  } catch (error) {
+    console.error('[PLAN] Error creating plan:', error);
+    res.status(500).json({ success: false, message: `Error creating plan: ${error.message}` });
+  }
+});
+
+// API endpoint to import a plan from a CSV or JSON schedule (exact dates and commit counts)
+// The schedule replaces the random date and commit selection; the plan runs like any other
+app.post('/api/plan/import', (req, res) => {
+  try {
+    const input = req.body || {};
+    const { schedule, format, repoPath } = input;
+    if (schedule === undefined || schedule === null || schedule === '' || !repoPath) {
+      return res.status(400).json({ success: false, message: 'Missing required fields: schedule, repoPath' });
+    }
+    
+    const commitSettings = resolveCommitSettings(input);
+    if (commitSettings.error) {
+      return res.status(400).json({ success: false, message: commitSettings.error });
+    }
+    const localMode = resolveLocalMode(input);
+    if (localMode.error) {
+      return res.status(400).json({ success: false, message: localMode.error });
+    }
+    
+    const { error: scheduleError, rows } = parseSchedule(schedule, format);
+    if (scheduleError) {
+      return res.status(400).json({ success: false, message: `Invalid schedule: ${scheduleError}` });
+    }
+    
+    const { error: planError, plan } = buildScheduledPlan(rows, {
+      ...commitSettings,
+      repoPath,
+      remote: input.remote || 'origin',
+      localOnly: localMode.localOnly,
+      mergeLocally: localMode.mergeLocally,
+      coAuthors: input.coAuthors || [],
+      coAuthorRate: input.coAuthorRate || 0,
+      createPR: input.createPR || false,
+      autoMerge: input.autoMerge || false,
+      baseBranch: input.baseBranch || 'main',
+      platform: input.platform || null,
+      mergeMethod: input.mergeMethod || 'merge'
+    });
+    if (planError) {
+      return res.status(400).json({ success: false, message: `Invalid schedule: ${planError}` });
+    }
+    const capacityError = checkTimeWindowCapacity(plan.timeWindows, plan.branches.map(branch => branch.commits.length));
+    if (capacityError) {
+      return res.status(400).json({ success: false, message: capacityError });
+    }
+    
+    const storedPlan = savePlan(plan);
+    console.log(`[PLAN] Imported plan ${storedPlan.id} from ${rows.length} schedule rows: ${storedPlan.branches.length} branches, ${storedPlan.totalCommits} commits`);
+    res.status(201).json({ success: true, plan: storedPlan });
+  } catch (error) {
+    console.error('[PLAN] Error importing plan:', error);
+    res.status(500).json({ success: false, message: `Error importing plan: ${error.message}` });
+  }
+});
+
+// API endpoint to list stored plans
+app.get('/api/plans', (req, res) => {
+  try {
+    res.json({ success: true, plans: listPlans() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error loading plans: ${error.message}` });
+  }
+});
+
+// API endpoint to get a stored plan
+app.get('/api/plans/:id', (req, res) => {
+  try {
+    const plan = getPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ success: false, message: `Plan not found: ${req.params.id}` });
+    }
+    res.json({ success: true, plan });
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error loading plan: ${error.message}` });
+  }
+});
+
+// API endpoint to list stored run records
+app.get('/api/runs', (req, res) => {
+  try {
+    res.json({ success: true, runs: listRuns() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error loading runs: ${error.message}` });
+  }
+});
+
+// API endpoint to get a stored run record
+app.get('/api/runs/:id', (req, res) => {
+  try {
+    const run = getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, message: `Run not found: ${req.params.id}` });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error loading run: ${error.message}` });
+  }
+});
+
+// API endpoint to download a run report (?format=csv|json|md, default: md)
+app.get('/api/runs/:id/report', (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({ success: false, message: `Unknown report format: ${format}. Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+    }
+    const run = getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, message: `Run not found: ${req.params.id}` });
+    }
+    const report = formatRunReport(run, format);
+    res.setHeader('Content-Type', report.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${report.fileName}"`);
+    res.send(report.body);
+  } catch (error) {
+    res.status(500).json({ success: false, message: `Error creating report: ${error.message}` });
+  }
+});
+
 // API endpoint to process git operations with Server-Sent Events (SSE)
 app.get('/api/process-stream', async (req, res) => {
   const requestId = Date.now();
@@ -434,141 +642,124 @@ app.get('/api/process-stream', async (req, res) => {
   let keepAliveInterval; // Keep-alive comment interval
   
   try {
-    const { 
-      startDate, 
-      endDate, 
-      numBranches, 
-      totalCommits,
-      repoPath, 
-      remote, 
-      country,
-      coAuthors,
-      coAuthorRate,
-      createPR,
-      autoMerge,
-      prToken,
-      baseBranch,
-      platform,
-      mergeMethod
-    } = formData;
+    const { planId, prToken } = formData;
+    
+    let plan;
+    if (planId) {
+      // Execute a stored plan exactly as it was created by /api/plan
+      plan = getPlan(planId);
+      if (!plan) {
+        sendSSE(res, 'error', { message: `Plan not found: ${planId}` });
+        res.end();
+        return;
+      }
+      sendSSE(res, 'progress', { message: `📋 Executing plan ${plan.id} for ${plan.startDate} to ${plan.endDate}...`, level: 'info' });
+    } else {
+      sendSSE(res, 'progress', { message: `🚀 Starting processing for ${formData.startDate} to ${formData.endDate}...`, level: 'info' });
+      
+      const run = resolveRunSettings(formData);
+      if (run.error) {
+        sendSSE(res, 'error', { message: run.error });
+        res.end();
+        return;
+      }
+      if (run.adjustedBranches) {
+        sendSSE(res, 'progress', { message: `⚠️ Adjusted number of branches from ${run.numBranches} to ${run.actualNumBranches} (only ${run.validDates.length} valid dates available)`, level: 'warning' });
+      }
+      const { error: planError, plan: builtPlan } = buildRunPlan(run, formData);
+      if (planError) {
+        sendSSE(res, 'error', { message: planError });
+        res.end();
+        return;
+      }
+      plan = builtPlan;
+    }
     
-    sendSSE(res, 'progress', { message: `🚀 Starting processing for ${startDate} to ${endDate}...`, level: 'info' });
+    const { repoPath, remote, coAuthors, coAuthorRate, createPR, autoMerge, baseBranch, platform, mergeMethod } = plan;
+    const commitsPerBranch = plan.branches.map(branch => branch.commits.length);
     
     // Log co-author settings for debugging
-    if (coAuthors && coAuthors.length > 0) {
+    if (coAuthors.length > 0) {
       console.log(`[${requestId}] [PROCESS-STREAM] Co-authors: ${coAuthors.join(', ')}, Rate: ${coAuthorRate}%`);
     } else {
       console.log(`[${requestId}] [PROCESS-STREAM] No co-authors provided`);
     }
     
-    // Validate inputs
-    if (!startDate || !endDate || numBranches === undefined || totalCommits === undefined || !repoPath) {
-      sendSSE(res, 'error', { message: 'Missing required fields: startDate, endDate, numBranches, totalCommits, repoPath' });
-      res.end();
-      return;
+    if (plan.source === 'import') {
+      sendSSE(res, 'progress', { message: `📅 Imported schedule: creating ${plan.branches.length} branches on ${plan.numBranches} dates with ${plan.totalCommits} total commits (distribution: ${commitsPerBranch.join(', ')}; seed: ${plan.seed})`, level: 'info' });
+    } else {
+      sendSSE(res, 'progress', { message: `📅 Found ${plan.totalValidDates} valid dates, creating ${plan.branches.length} branches on ${plan.numBranches} dates with ${plan.totalCommits} total commits (distribution: ${commitsPerBranch.join(', ')}; strategy: ${describeDistribution(plan.distribution)}; seed: ${plan.seed})`, level: 'info' });
     }
-    
-    const numBranchesNum = parseInt(numBranches);
-    const totalCommitsNum = parseInt(totalCommits);
-    
-    if (isNaN(numBranchesNum) || numBranchesNum < 1) {
-      sendSSE(res, 'error', { message: 'Number of branches must be at least 1' });
-      res.end();
-      return;
+    sendSSE(res, 'progress', { message: `📝 Commit content: ${describeContentGenerator(plan.content || { generator: 'log', params: {} })}`, level: 'info' });
+    sendSSE(res, 'progress', { message: `💬 Commit messages: ${describeMessageFormat(plan.messages || { mode: 'template', template: DEFAULT_TEMPLATE })}`, level: 'info' });
+    if (plan.branchTemplate) {
+      sendSSE(res, 'progress', { message: `🌿 Branch names: ${plan.branchTemplate}`, level: 'info' });
     }
-    
-    if (isNaN(totalCommitsNum) || totalCommitsNum < 1) {
-      sendSSE(res, 'error', { message: 'Total commits must be at least 1' });
-      res.end();
-      return;
+    if (plan.personas) {
+      sendSSE(res, 'progress', { message: `👥 Authors: ${plan.personas.length} persona(s) (${plan.personas.map(persona => persona.name).slice(0, 5).join(', ')}${plan.personas.length > 5 ? ', ...' : ''})`, level: 'info' });
     }
-    
-    if (totalCommitsNum < numBranchesNum) {
-      sendSSE(res, 'error', { message: 'Total commits must be at least equal to the number of branches (each branch needs at least 1 commit)' });
-      res.end();
-      return;
+    if (plan.signing) {
+      sendSSE(res, 'progress', { message: `🔏 Signing commits with ${describeSigning(plan.signing)}; each signature is verified before pushing`, level: 'info' });
     }
-    
-    // Parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      sendSSE(res, 'error', { message: 'Invalid date format' });
-      res.end();
-      return;
+    if (plan.writer === 'plumbing') {
+      sendSSE(res, 'progress', { message: `⚡ Plumbing writer: commits are written with git fast-import, without checkouts or pulls; the working tree and index are left as they are`, level: 'info' });
     }
     
-    if (start > end) {
-      sendSSE(res, 'error', { message: 'Start date must be before end date' });
-      res.end();
-      return;
-    }
+    // Initialize git (handles both local paths and URLs)
+    sendSSE(res, 'progress', { message: `🔧 Initializing Git repository...`, level: 'info' });
+    const gitInitResult = await initGit(repoPath);
+    const git = gitInitResult.git;
+    const actualRepoPath = gitInitResult.actualPath;
+    sendSSE(res, 'progress', { message: `✅ Git repository initialized`, level: 'success' });
     
-    // Get valid dates (excluding Sundays and holidays)
-    const countryCode = country || 'US';
-    const validDates = getValidDates(start, end, countryCode);
+    // The run id is known from the start so branch names and messages can include it ({runId})
+    const runId = createRunId();
+    const branchNames = plan.branches.map(plannedBranch => fillRunId(plannedBranch.branch, runId));
     
-    if (validDates.length === 0) {
-      sendSSE(res, 'error', { message: 'No valid dates found in the specified range (all dates are Sundays or holidays)' });
+    // Stop before creating anything if the run would replace existing branches or move the checked-out branch
+    const targetCheck = await checkRunTargets(git, plan, branchNames);
+    if (targetCheck.error) {
+      console.log(`[${requestId}] [PROCESS-STREAM] ${targetCheck.error}`);
+      sendSSE(res, 'error', { message: targetCheck.error });
       res.end();
       return;
     }
-    
-    // Automatically adjust number of branches if there aren't enough valid dates
-    let actualNumBranches = numBranchesNum;
-    let adjustedBranches = false;
-    if (validDates.length < numBranchesNum) {
-      actualNumBranches = validDates.length;
-      adjustedBranches = true;
-      sendSSE(res, 'progress', { message: `⚠️ Adjusted number of branches from ${numBranchesNum} to ${actualNumBranches} (only ${validDates.length} valid dates available)`, level: 'warning' });
+    if (plan.replaceExistingBranches) {
+      sendSSE(res, 'progress', { message: `⚠️ Existing branches with the planned names will be replaced`, level: 'warning' });
     }
     
-    // Randomly select dates (one per branch)
-    const shuffledDates = [...validDates].sort(() => Math.random() - 0.5);
-    const datesToProcess = shuffledDates.slice(0, actualNumBranches);
-    const datesToProcessCount = datesToProcess.length;
-    
-    // Randomly distribute commits across branches
-    // Each branch gets at least 1 commit, then distribute the rest randomly
-    const commitsPerBranch = new Array(actualNumBranches).fill(1); // Start with 1 commit per branch
-    let remainingCommits = totalCommitsNum - actualNumBranches; // Remaining commits to distribute
-    
-    // Randomly distribute remaining commits
-    for (let i = 0; i < remainingCommits; i++) {
-      const randomBranch = Math.floor(Math.random() * actualNumBranches);
-      commitsPerBranch[randomBranch]++;
+    // Local-only runs never touch a remote; a new repository gets a first commit to branch from
+    if (plan.localOnly) {
+      sendSSE(res, 'progress', { message: `🏠 Local-only mode: no fetch, pull, push or PRs${plan.mergeLocally ? `; branches are merged locally (${mergeMethod || 'merge'})` : ''}`, level: 'info' });
+      const initialCommit = await ensureInitialCommit(git, baseBranch || 'main', { repoPath: actualRepoPath, timestamp: getFirstPlannedTimestamp(plan), setCommitterDate: plan.setCommitterDate !== false, signing: plan.signing || null, writer: plan.writer });
+      if (!initialCommit.success) {
+        sendSSE(res, 'error', { message: initialCommit.message });
+        res.end();
+        return;
+      }
+      if (initialCommit.created) {
+        sendSSE(res, 'progress', { message: `🌱 ${initialCommit.message}`, level: 'info' });
+      }
     }
     
-    // Shuffle the commits distribution to make it more random
-    commitsPerBranch.sort(() => Math.random() - 0.5);
-    
-    sendSSE(res, 'progress', { message: `📅 Found ${validDates.length} valid dates, creating ${datesToProcessCount} branches with ${totalCommitsNum} total commits (distribution: ${commitsPerBranch.join(', ')})`, level: 'info' });
-    
-    // Initialize git (handles both local paths and URLs)
-    sendSSE(res, 'progress', { message: `🔧 Initializing Git repository...`, level: 'info' });
-    const gitInitResult = await initGit(repoPath);
-    const git = gitInitResult.git;
-    const actualRepoPath = gitInitResult.actualPath;
-    sendSSE(res, 'progress', { message: `✅ Git repository initialized`, level: 'success' });
-    
     // Prepare PR options if PR creation is requested
     const prOptions = createPR ? {
       createPR: true,
-      autoMerge: autoMerge || false,
+      autoMerge: autoMerge,
       token: prToken,
-      baseBranch: baseBranch || 'main',
+      baseBranch: baseBranch,
       platform: platform,
-      mergeMethod: mergeMethod || 'merge'
+      mergeMethod: mergeMethod
     } : null;
     
     if (prOptions) {
       sendSSE(res, 'progress', { message: `🔀 PR creation enabled (${platform || 'GitHub'})`, level: 'info' });
     }
     
-    // Process each selected date (1 commit per date)
+    // Process each planned branch
     const results = [];
-    const totalDates = datesToProcess.length;
+    const runStartedAt = new Date().toISOString();
+    const totalDates = plan.branches.length;
     const startProcessingTime = Date.now();
     
     // Set up a heartbeat interval to keep connection alive and show progress
@@ -587,23 +778,25 @@ app.get('/api/process-stream', async (req, res) => {
       sendSSEKeepAlive(res);
     }, 15000); // Send keep-alive comment every 15 seconds
     
-    for (let i = 0; i < datesToProcess.length; i++) {
-      const date = datesToProcess[i];
-      const dateStr = formatDate(date);
+    for (let i = 0; i < plan.branches.length; i++) {
+      const plannedBranch = plan.branches[i];
+      const branchName = branchNames[i];
+      const dateStr = plannedBranch.date;
       const progress = `[${i + 1}/${totalDates}]`;
       
       const commitsForThisBranch = commitsPerBranch[i];
-      sendSSE(res, 'progress', { message: `${progress} 🌿 Creating branch for ${dateStr} with ${commitsForThisBranch} commit(s)...`, level: 'progress' });
+      sendSSE(res, 'progress', { message: `${progress} 🌿 Creating branch ${branchName} for ${dateStr} with ${commitsForThisBranch} commit(s)...`, level: 'progress' });
       
       try {
         const startTime = Date.now();
-        const result = await processDate(git, date, commitsForThisBranch, remote || 'origin', prOptions, actualRepoPath, coAuthors || [], coAuthorRate || 0);
+        const result = await processDate(git, parseDate(dateStr), commitsForThisBranch, remote, prOptions, actualRepoPath, coAuthors, coAuthorRate,
+          getProcessDateOptions(plan, plannedBranch, branchName, runId));
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
         
         results.push(result);
         
         if (result.success) {
-          let successMsg = `${progress} ✅ ${dateStr} completed in ${duration}s`;
+          let successMsg = `${progress} ✅ ${branchName} completed in ${duration}s`;
           if (result.results && result.results.commits && result.results.commits.success) {
             successMsg += ` | Commits: ${result.results.commits.commitCount || 1}`;
           }
@@ -613,21 +806,24 @@ app.get('/api/process-stream', async (req, res) => {
               successMsg += ' (merged)';
             }
           }
+          if (result.results && result.results.merge && result.results.merge.success) {
+            successMsg += ` | Merged locally (${result.results.merge.hash.substring(0, 7)})`;
+          }
           sendSSE(res, 'progress', { message: successMsg, level: 'success' });
         } else {
-          sendSSE(res, 'progress', { message: `${progress} ❌ ${dateStr} failed: ${result.message}`, level: 'error' });
+          sendSSE(res, 'progress', { message: `${progress} ❌ ${branchName} failed: ${result.message}`, level: 'error' });
         }
       } catch (error) {
-        sendSSE(res, 'progress', { message: `${progress} ❌ Exception processing ${dateStr}: ${error.message}`, level: 'error' });
+        sendSSE(res, 'progress', { message: `${progress} ❌ Exception processing ${branchName}: ${error.message}`, level: 'error' });
         results.push({
           success: false,
-          results: { date: dateStr },
+          results: { date: dateStr, branch: branchName },
           message: `Exception: ${error.message}`
         });
       }
       
       // Log progress every 5 dates
-      if ((i + 1) % 5 === 0 || i === datesToProcess.length - 1) {
+      if ((i + 1) % 5 === 0 || i === plan.branches.length - 1) {
         const completed = i + 1;
         const successCount = results.filter(r => r.success).length;
         const elapsed = Math.floor((Date.now() - startProcessingTime) / 1000);
@@ -661,27 +857,62 @@ app.get('/api/process-stream', async (req, res) => {
     });
     const branchesCreated = results.filter(r => r.results && r.results.branchResult && r.results.branchResult.success).length;
     const branchesPushed = results.filter(r => r.results && r.results.push && r.results.push.success).length;
+    const branchesMerged = results.filter(r => r.results && r.results.merge && r.results.merge.success).length;
     
     // Clear keep-alive interval before sending final message
     clearInterval(keepAliveInterval);
     
+    // Store what happened so reports can be downloaded later (GET /api/runs/:id/report)
+    let storedRunId = null;
+    try {
+      const run = saveRun(buildRunRecord(plan, results, { id: runId, startedAt: runStartedAt, finishedAt: new Date().toISOString() }));
+      storedRunId = run.id;
+      console.log(`[${requestId}] [RUN] Stored run ${run.id} (${run.summary.succeeded}/${run.summary.branches} branches succeeded)`);
+    } catch (error) {
+      console.error(`[${requestId}] [RUN] Could not store run record:`, error);
+      sendSSE(res, 'progress', { message: `⚠️ Could not store the run record: ${error.message}`, level: 'warning' });
+    }
+    
     sendSSE(res, 'complete', {
       success: true,
       message: `Processed ${results.length} branches (${successCount} succeeded, ${failureCount} failed). Created ${commitsCreated} commits total.`,
-      numBranches: actualNumBranches,
-      requestedBranches: numBranchesNum,
-      totalCommits: totalCommitsNum,
+      planId: plan.id || null,
+      runId: storedRunId,
+      numBranches: plan.numBranches,
+      requestedBranches: plan.requestedBranches,
+      branchesPerDate: plan.branchesPerDate || 1,
+      totalBranches: plan.branches.length,
+      totalCommits: plan.totalCommits,
       commitsCreated: commitsCreated,
       commitsPerBranch: commitsPerBranch,
-      totalDates: validDates.length,
-      datesToProcess: datesToProcessCount,
-      adjustedBranches: adjustedBranches,
+      totalDates: plan.totalValidDates,
+      datesToProcess: plan.numBranches,
+      adjustedBranches: plan.adjustedBranches,
+      timeZone: plan.timeZone,
+      timeWindows: plan.timeWindows,
+      seed: plan.seed,
+      setCommitterDate: plan.setCommitterDate !== false,
+      content: plan.content || { generator: 'log', params: {} },
+      messages: plan.messages || { mode: 'template', template: DEFAULT_TEMPLATE },
+      branchTemplate: plan.branchTemplate || null,
+      branches: branchNames,
+      personas: plan.personas || null,
+      signing: plan.signing || null,
+      writer: plan.writer || 'worktree',
+      localOnly: plan.localOnly === true,
+      mergeLocally: plan.mergeLocally === true,
+      distribution: plan.distribution,
+      weekendDays: plan.weekendDays,
+      calendarExcludedDates: plan.calendarExcludedDates,
+      holidaySets: plan.holidaySets,
+      blackouts: plan.blackouts,
       successCount,
       failureCount,
       stats: {
         commitsCreated,
         branchesCreated,
         branchesPushed,
+        branchesMerged,
         prsCreated,
         prsFailed,
         prsMerged
@@ -717,6 +948,475 @@ function sendSSE(res, type, data) {
   }
 }
 
+// Helper function to resolve dates excluded by an imported iCalendar file
+// Accepts uploaded .ics content, a local .ics path (desktop app only), or dates already
+// resolved by /api/check (the UI sends those to /api/process-stream to keep the URL short)
+function resolveCalendarExclusions({ calendarIcs, calendarPath, excludeDates }, start, end) {
+  try {
+    if (calendarIcs) {
+      return { exclusions: getIcsExclusions(calendarIcs, start, end) };
+    }
+    if (calendarPath) {
+      if (process.env.ELECTRON !== '1') {
+        return { error: 'Local calendar paths are only supported in the desktop app. Upload the .ics file instead.' };
+      }
+      return { exclusions: getIcsExclusions(readIcsFile(calendarPath), start, end) };
+    }
+  } catch (error) {
+    return { error: `Invalid calendar: ${error.message}` };
+  }
+  
+  if (excludeDates === undefined || excludeDates === null) {
+    return { exclusions: [] };
+  }
+  if (!Array.isArray(excludeDates) || excludeDates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    return { error: 'Excluded dates must be a list of dates in YYYY-MM-DD format' };
+  }
+  return { exclusions: excludeDates.map(date => ({ date, summary: 'Excluded date' })) };
+}
+
+// Helper function to validate the settings of a run and pick its dates and commit counts
+// Returns { error } with a message for the user, or the resolved settings
+// With options.byPercentage (the /api/process contract), input.percentage of the valid dates
+// each get a branch with one commit, in place of numBranches and totalCommits
+function resolveRunSettings(input, options = {}) {
+  const { 
+    startDate, 
+    endDate, 
+    numBranches, 
+    branchesPerDate,
+    totalCommits,
+    percentage,
+    repoPath, 
+    country,
+    weekendDays,
+    calendarIcs,
+    calendarPath,
+    excludeDates,
+    holidaySets,
+    blackouts,
+    distribution: distributionInput
+  } = input;
+  
+  const byPercentage = options.byPercentage === true;
+  if (byPercentage) {
+    if (!startDate || !endDate || percentage === undefined || !repoPath) {
+      return { error: 'Missing required fields: startDate, endDate, percentage, repoPath' };
+    }
+  } else if (!startDate || !endDate || numBranches === undefined || totalCommits === undefined || !repoPath) {
+    return { error: 'Missing required fields: startDate, endDate, numBranches, totalCommits, repoPath' };
+  }
+  
+  const percentageNum = byPercentage ? parseFloat(percentage) : null;
+  let numBranchesNum = byPercentage ? null : parseInt(numBranches);
+  let totalCommitsNum = byPercentage ? null : parseInt(totalCommits);
+  
+  if (byPercentage) {
+    if (isNaN(percentageNum) || percentageNum < 0 || percentageNum > 100) {
+      return { error: 'Percentage must be a number between 0 and 100' };
+    }
+  } else {
+    if (isNaN(numBranchesNum) || numBranchesNum < 1) {
+      return { error: 'Number of branches must be at least 1' };
+    }
+    
+    if (isNaN(totalCommitsNum) || totalCommitsNum < 1) {
+      return { error: 'Total commits must be at least 1' };
+    }
+  }
+  
+  // numBranches is the number of dates; each date gets branchesPerDate branches (default 1)
+  const branchesPerDateNum = branchesPerDate === undefined || branchesPerDate === null || branchesPerDate === '' ? 1 : Number(branchesPerDate);
+  if (!Number.isInteger(branchesPerDateNum) || branchesPerDateNum < 1 || branchesPerDateNum > MAX_BRANCHES_PER_DATE) {
+    return { error: `Branches per date must be a whole number from 1 to ${MAX_BRANCHES_PER_DATE}` };
+  }
+  
+  if (!byPercentage && totalCommitsNum < numBranchesNum * branchesPerDateNum) {
+    return { error: branchesPerDateNum > 1
+      ? `Total commits must be at least equal to the number of branches (${numBranchesNum} dates × ${branchesPerDateNum} branches per date; each branch needs at least 1 commit)`
+      : 'Total commits must be at least equal to the number of branches (each branch needs at least 1 commit)' };
+  }
+  
+  // Parse dates
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+  
+  if (start > end) {
+    return { error: 'Start date must be before end date' };
+  }
+  
+  const commitSettings = resolveCommitSettings(input);
+  if (commitSettings.error) {
+    return { error: commitSettings.error };
+  }
+  const { timeZone: runTimeZone, timeWindows: timeWindowList, seed: runSeed, setCommitterDate, content, messages, branchTemplate, replaceExistingBranches, personas, signing, writer } = commitSettings;
+  
+  const localMode = resolveLocalMode(input);
+  if (localMode.error) {
+    return { error: localMode.error };
+  }
+  
+  // Resolve how commits are spread over the selected dates (default: uniform at random)
+  const { error: distributionError, distribution } = resolveDistribution(distributionInput);
+  if (distributionError) {
+    return { error: distributionError };
+  }
+  
+  // Get valid dates (excluding weekend days and holidays)
+  const countryCode = country || 'US';
+  if (!isValidCountryCode(countryCode)) {
+    return { error: `Unknown country or region code: ${countryCode}` };
+  }
+  
+  // Resolve non-working weekdays (default: the selected country's weekend)
+  const weekendDaysList = weekendDays === undefined || weekendDays === null
+    ? getDefaultWeekendDays(countryCode)
+    : normalizeWeekendDays(weekendDays);
+  if (!weekendDaysList) {
+    return { error: 'Weekend days must be a list of weekday numbers from 0 (Sunday) to 6 (Saturday), leaving at least one working day' };
+  }
+  
+  // Resolve blackout ranges (e.g., a release freeze or a team offsite)
+  const blackoutRanges = blackouts === undefined || blackouts === null ? [] : normalizeBlackoutRanges(blackouts);
+  if (!blackoutRanges) {
+    return { error: 'Blackout ranges must be a list of { start, end } dates in YYYY-MM-DD format, with start on or before end' };
+  }
+  
+  // Resolve dates excluded by an imported calendar
+  const calendar = resolveCalendarExclusions({ calendarIcs, calendarPath, excludeDates }, start, end);
+  if (calendar.error) {
+    return { error: calendar.error };
+  }
+  
+  // Resolve custom holiday sets combined with the country calendar
+  const customSets = resolveHolidaySets(holidaySets);
+  if (!customSets.success) {
+    return { error: customSets.message };
+  }
+  
+  const validDates = getValidDates(start, end, countryCode, { weekendDays: weekendDaysList, excludeDates: calendar.exclusions, customHolidays: customSets.rules, blackoutRanges });
+  
+  if (validDates.length === 0) {
+    return { error: 'No valid dates found in the specified range (all dates are weekend days, holidays, imported calendar dates or blackouts)' };
+  }
+  
+  if (byPercentage) {
+    numBranchesNum = Math.round(validDates.length * percentageNum / 100);
+    if (numBranchesNum === 0) {
+      return { error: `${percentageNum}% of the ${validDates.length} valid dates is less than one date` };
+    }
+    totalCommitsNum = numBranchesNum * branchesPerDateNum;
+  }
+  
+  // Automatically adjust number of branches if there aren't enough valid dates
+  const actualNumBranches = Math.min(numBranchesNum, validDates.length);
+  
+  // Randomly select dates (one per branch) and distribute commits across them
+  const { datesToProcess, commitsPerBranch } = selectDatesAndCommits(validDates, actualNumBranches, branchesPerDateNum, totalCommitsNum, createRandom(runSeed), distribution, { start, end });
+  
+  const capacityError = checkTimeWindowCapacity(timeWindowList, commitsPerBranch);
+  if (capacityError) {
+    return { error: capacityError };
+  }
+  
+  return {
+    start,
+    end,
+    numBranches: numBranchesNum,
+    branchesPerDate: branchesPerDateNum,
+    totalCommits: totalCommitsNum,
+    percentage: percentageNum,
+    timeZone: runTimeZone,
+    timeWindows: timeWindowList,
+    seed: runSeed,
+    setCommitterDate,
+    content,
+    messages,
+    branchTemplate,
+    replaceExistingBranches,
+    personas,
+    signing,
+    writer,
+    localOnly: localMode.localOnly,
+    mergeLocally: localMode.mergeLocally,
+    distribution,
+    countryCode,
+    weekendDays: weekendDaysList,
+    blackouts: blackoutRanges,
+    calendar,
+    customSets,
+    validDates,
+    actualNumBranches,
+    adjustedBranches: actualNumBranches < numBranchesNum,
+    datesToProcess,
+    commitsPerBranch
+  };
+}
+
+// Helper function to validate the settings that shape branches and individual commits (shared by runs and imported schedules)
+// Returns { error } or { timeZone, timeWindows, seed, setCommitterDate, content, messages, branchTemplate, replaceExistingBranches, personas, signing, writer }
+function resolveCommitSettings(input) {
+  const { timeZone, timeWindows, seed, setCommitterDate, content: contentInput, messages: messagesInput, branchTemplate: branchTemplateInput, replaceExistingBranches, signing: signingInput, writer: writerInput } = input;
+  
+  // Commit timestamps and history grouping use the run's time zone (default: the server's)
+  const runTimeZone = timeZone || getDefaultTimeZone();
+  if (!isValidTimeZone(runTimeZone)) {
+    return { error: `Unknown time zone: ${timeZone}. Use an IANA name such as Europe/Berlin` };
+  }
+  
+  // Commit times fall inside these windows on each date (default: working hours)
+  const timeWindowList = timeWindows === undefined || timeWindows === null ? DEFAULT_TIME_WINDOWS : normalizeTimeWindows(timeWindows);
+  if (!timeWindowList) {
+    return { error: 'Time windows must be a list of non-overlapping HH:MM-HH:MM ranges (e.g., 09:00-12:00), each ending after it starts' };
+  }
+  
+  // Every random choice in the run comes from this seed, so the same seed reproduces the run
+  const runSeed = normalizeSeed(seed);
+  if (!runSeed) {
+    return { error: 'Seed must be a number or a non-empty string of at most 100 characters' };
+  }
+  
+  // Backdate the committer date along with the author date unless turned off
+  if (setCommitterDate !== undefined && setCommitterDate !== null && typeof setCommitterDate !== 'boolean') {
+    return { error: 'setCommitterDate must be true or false' };
+  }
+  
+  // What each commit changes (default: a line in commits.txt)
+  const { error: contentError, content } = resolveContentGenerator(contentInput);
+  if (contentError) {
+    return { error: contentError };
+  }
+  
+  // Commit message template, or the Conventional Commits mode (default: 'Auto commit {index} for {date}')
+  const { error: messagesError, messages } = resolveMessageFormat(messagesInput);
+  if (messagesError) {
+    return { error: messagesError };
+  }
+  
+  // Branch name template (default: auto-YYYY-MM-DD); the planned names are checked when the plan is built
+  const { error: branchTemplateError, branchTemplate } = resolveBranchTemplate(branchTemplateInput);
+  if (branchTemplateError) {
+    return { error: branchTemplateError };
+  }
+  
+  // Branches that already exist are only replaced on request
+  if (replaceExistingBranches !== undefined && replaceExistingBranches !== null && typeof replaceExistingBranches !== 'boolean') {
+    return { error: 'replaceExistingBranches must be true or false' };
+  }
+  
+  // Author identities commits rotate through (default: the repository's git user)
+  const personaSettings = resolvePersonas(input);
+  if (personaSettings.error) {
+    return { error: personaSettings.error };
+  }
+  
+  // Sign every commit with a GPG key or an SSH key (default: unsigned)
+  const { error: signingError, signing } = resolveSigning(signingInput);
+  if (signingError) {
+    return { error: signingError };
+  }
+  
+  // Write commits through the working tree, or with git fast-import without touching it (default: working tree)
+  const { error: writerError, writer } = resolveWriter(writerInput, { signing, autoMerge: input.createPR === true && input.autoMerge === true });
+  if (writerError) {
+    return { error: writerError };
+  }
+  
+  return {
+    timeZone: runTimeZone,
+    timeWindows: timeWindowList,
+    seed: runSeed,
+    setCommitterDate: setCommitterDate !== false,
+    content,
+    messages,
+    branchTemplate,
+    replaceExistingBranches: replaceExistingBranches === true,
+    personas: personaSettings.personas,
+    signing,
+    writer
+  };
+}
+
+// Helper function to validate local-only mode: branches and commits without a remote
+// (no fetch, pull, push or PRs), optionally merged into the base branch locally
+// Returns { error } or { localOnly, mergeLocally }
+function resolveLocalMode({ localOnly, mergeLocally, repoPath, createPR, mergeMethod }) {
+  if (localOnly !== undefined && localOnly !== null && typeof localOnly !== 'boolean') {
+    return { error: 'localOnly must be true or false' };
+  }
+  if (mergeLocally !== undefined && mergeLocally !== null && typeof mergeLocally !== 'boolean') {
+    return { error: 'mergeLocally must be true or false' };
+  }
+  if (localOnly !== true) {
+    if (mergeLocally === true) {
+      return { error: 'mergeLocally needs localOnly; with a remote, merge through pull requests (createPR and autoMerge)' };
+    }
+    return { localOnly: false, mergeLocally: false };
+  }
+  
+  if (repoPath && isRepoUrl(repoPath)) {
+    return { error: 'Local-only mode needs a local repository path, not a URL' };
+  }
+  if (createPR) {
+    return { error: 'Pull requests need a remote; turn off createPR or localOnly' };
+  }
+  if (mergeLocally === true && mergeMethod && !['merge', 'squash', 'rebase'].includes(mergeMethod)) {
+    return { error: `Unknown merge method: ${mergeMethod}. Use one of: merge, squash, rebase` };
+  }
+  return { localOnly: true, mergeLocally: mergeLocally === true };
+}
+
+// Helper function to resolve the fixture personas of a run
+// Accepts the personas (a JSON array or its text, e.g. an uploaded file) or a local
+// personas file path (desktop app only); returns { error } or { personas } (null without personas)
+function resolvePersonas({ personas, personasPath }) {
+  if ((personas === undefined || personas === null || personas === '') && !personasPath) {
+    return { personas: null };
+  }
+  let personasInput = personas;
+  if (personasInput === undefined || personasInput === null || personasInput === '') {
+    if (process.env.ELECTRON !== '1') {
+      return { error: 'Local personas paths are only supported in the desktop app. Upload the personas file instead.' };
+    }
+    try {
+      personasInput = readPersonasFile(personasPath);
+    } catch (error) {
+      return { error: `Could not read personas file: ${error.message}` };
+    }
+  }
+  return parsePersonas(personasInput);
+}
+
+// Helper function to check that every branch's commits fit in the time windows
+// Each commit on a branch needs its own second so timestamps strictly increase
+function checkTimeWindowCapacity(timeWindows, commitsPerBranch) {
+  const windowSeconds = getTimeWindowSeconds(timeWindows);
+  const busiestBranch = Math.max(...commitsPerBranch);
+  return busiestBranch > windowSeconds
+    ? `Time windows are too short: a branch gets ${busiestBranch} commits but the windows only hold ${windowSeconds} distinct seconds`
+    : null;
+}
+
+// Helper function to turn resolved run settings into a plan (see plans.js)
+// Returns { error } (e.g. branch names git cannot create) or { plan }
+// The PR token is deliberately left out: plans are stored on disk
+function buildRunPlan(run, input) {
+  return buildPlan({
+    startDate: input.startDate,
+    endDate: input.endDate,
+    countryCode: run.countryCode,
+    timeZone: run.timeZone,
+    timeWindows: run.timeWindows,
+    seed: run.seed,
+    setCommitterDate: run.setCommitterDate,
+    content: run.content,
+    messages: run.messages,
+    branchTemplate: run.branchTemplate,
+    replaceExistingBranches: run.replaceExistingBranches,
+    personas: run.personas,
+    signing: run.signing,
+    writer: run.writer,
+    distribution: run.distribution,
+    weekendDays: run.weekendDays,
+    holidaySets: run.customSets.holidaySets.map(holidaySet => holidaySet.name),
+    blackouts: run.blackouts,
+    calendarExcludedDates: run.calendar.exclusions.map(exclusion => exclusion.date),
+    requestedBranches: run.numBranches,
+    numBranches: run.actualNumBranches,
+    branchesPerDate: run.branchesPerDate,
+    totalCommits: run.totalCommits,
+    totalValidDates: run.validDates.length,
+    adjustedBranches: run.adjustedBranches,
+    repoPath: input.repoPath,
+    remote: input.remote || 'origin',
+    localOnly: run.localOnly,
+    mergeLocally: run.mergeLocally,
+    coAuthors: input.coAuthors || [],
+    coAuthorRate: input.coAuthorRate || 0,
+    createPR: input.createPR || false,
+    autoMerge: input.autoMerge || false,
+    baseBranch: input.baseBranch || 'main',
+    platform: input.platform || null,
+    mergeMethod: input.mergeMethod || 'merge',
+    dates: run.datesToProcess.map(date => formatDate(date)),
+    commitsPerBranch: run.commitsPerBranch
+  });
+}
+
+// Helper function to check a run's branches before anything is written (shared by both processing endpoints)
+// Existing branches are never replaced silently, and the plumbing writer never moves the checked-out
+// branch, so it cannot merge into it; returns { error } with a message for the user, or {}
+async function checkRunTargets(git, plan, branchNames) {
+  if (!plan.replaceExistingBranches) {
+    const takenBranches = await findExistingBranches(git, branchNames, plan.localOnly ? null : plan.remote);
+    if (takenBranches.length > 0) {
+      const takenList = takenBranches.map(taken => `${taken.name} (${taken.existing === taken.name ? 'exists' : `blocked by ${taken.existing}`} ${taken.where === 'local' ? 'locally' : `on ${taken.where}`})`);
+      return { error: `${takenBranches.length} planned branch(es) already exist: ${takenList.slice(0, 10).join(', ')}${takenList.length > 10 ? ', ...' : ''}. Nothing was created; use another branch template or set replaceExistingBranches to replace them` };
+    }
+  }
+  
+  if (plan.writer === 'plumbing' && plan.mergeLocally) {
+    // A repository without commits gets its first commit on the base branch, and HEAD stays where it is (see ensureInitialCommit)
+    const { baseBranch: existingBase, baseRef } = await resolveBase(git, null);
+    const mergeTarget = baseRef ? existingBase : (plan.baseBranch || 'main');
+    if ((await getCheckedOutBranch(git)) === mergeTarget) {
+      const hasCommits = (await git.raw(['rev-parse', '--verify', '-q', 'HEAD'])).trim() !== '';
+      return { error: `'${mergeTarget}' is checked out, and the plumbing writer does not move the checked-out branch, so it cannot merge into it. ${hasCommits
+        ? 'Check out another branch (or detach HEAD) before the run'
+        : `HEAD names '${mergeTarget}', which has no commits yet: point it at another name (git symbolic-ref HEAD refs/heads/<name>) before the run`}, or use the worktree writer. Nothing was created` };
+    }
+  }
+  return {};
+}
+
+// Helper function to get the processDate options for a planned branch (shared by both processing endpoints)
+function getProcessDateOptions(plan, plannedBranch, branchName, runId) {
+  return {
+    timeZone: plan.timeZone,
+    timeWindows: plan.timeWindows,
+    seed: plan.seed,
+    setCommitterDate: plan.setCommitterDate,
+    content: plan.content,
+    branchName: branchName,
+    commits: plannedBranch.commits,
+    replaceExistingBranches: plan.replaceExistingBranches === true,
+    signing: plan.signing || null,
+    writer: plan.writer || 'worktree',
+    localOnly: plan.localOnly === true,
+    mergeLocally: plan.mergeLocally === true,
+    mergeMethod: plan.mergeMethod,
+    runId
+  };
+}
+
+// Helper function to find the earliest planned commit time (dates the initial commit of a new local-only repository)
+function getFirstPlannedTimestamp(plan) {
+  return plan.branches
+    .flatMap(plannedBranch => plannedBranch.commits.map(commit => commit.timestamp))
+    .reduce((first, timestamp) => (first === null || Date.parse(timestamp) < Date.parse(first) ? timestamp : first), null);
+}
+
+// Helper function to pick the dates of a run and spread the commits over their branches
+// Check and process draw from the same seed in the same order, so a seeded run executes
+// exactly what /api/check previewed
+// The distribution strategy decides how many commits each branch gets (see distribution.js);
+// commitsPerBranch lists the branches date by date
+function selectDatesAndCommits(validDates, numDates, branchesPerDate, totalCommits, random, distribution, range) {
+  const datesToProcess = random.shuffle(validDates).slice(0, numDates);
+  const branchDates = datesToProcess.flatMap(date => new Array(branchesPerDate).fill(date));
+  const commitsPerBranch = distributeCommits(branchDates, totalCommits, distribution, random, range);
+  return { datesToProcess, commitsPerBranch };
+}
+
+// Helper function to keep the fields /api/process takes (see PROCESS_FIELDS)
+function pickProcessFields(body) {
+  return Object.fromEntries(PROCESS_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
 // Helper function to send SSE keep-alive comment
 function sendSSEKeepAlive(res) {
   try {
@@ -746,134 +1446,89 @@ app.post('/api/process', async (req, res) => {
   }, 300000); // 5 minutes
   
   try {
-    const { 
-      startDate, 
-      endDate, 
-      percentage, 
-      repoPath, 
-      remote, 
-      country,
-      coAuthors,
-      coAuthorRate,
-      createPR,
-      autoMerge,
-      prToken,
-      baseBranch,
-      platform,
-      mergeMethod
-    } = req.body;
+    // Same validation and plan as the streaming endpoint, with the percentage contract and one branch per date
+    const input = { ...pickProcessFields(req.body || {}), branchesPerDate: 1 };
+    const { prToken } = input;
     
-    console.log(`[${requestId}] [PROCESS] Processing request for repo: ${repoPath}, dates: ${startDate} to ${endDate}`);
+    console.log(`[${requestId}] [PROCESS] Processing request for repo: ${input.repoPath}, dates: ${input.startDate} to ${input.endDate}`);
     
-    // Validate inputs
-    if (!startDate || !endDate || percentage === undefined || !repoPath) {
+    const run = resolveRunSettings(input, { byPercentage: true });
+    if (run.error) {
       clearTimeout(timeout);
       return res.status(400).json({ 
         success: false, 
-        message: 'Missing required fields: startDate, endDate, percentage, repoPath' 
+        message: run.error 
       });
     }
     
-    const percentageNum = parseFloat(percentage);
-    if (isNaN(percentageNum) || percentageNum < 0 || percentageNum > 100) {
+    const { error: planError, plan } = buildRunPlan(run, input);
+    if (planError) {
       clearTimeout(timeout);
       return res.status(400).json({ 
         success: false, 
-        message: 'Percentage must be a number between 0 and 100' 
+        message: planError 
       });
     }
+    const commitsPerBranch = plan.branches.map(branch => branch.commits.length);
     
-    // Parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      clearTimeout(timeout);
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid date format' 
-      });
-    }
+    // Log selected dates for verification
+    console.log(`[${requestId}] [PROCESS] Total valid dates: ${plan.totalValidDates}`);
+    console.log(`[${requestId}] [PROCESS] Number of branches: ${plan.numBranches} (${run.percentage}% of the valid dates)`);
+    console.log(`[${requestId}] [PROCESS] Total commits: ${plan.totalCommits}`);
+    console.log(`[${requestId}] [PROCESS] Commits distribution: ${commitsPerBranch.join(', ')}`);
+    console.log(`[${requestId}] [PROCESS] Selected dates:`, plan.branches.map(plannedBranch => plannedBranch.date).join(', '));
     
-    if (start > end) {
-      clearTimeout(timeout);
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Start date must be before end date' 
-      });
-    }
+    // Initialize git (handles both local paths and URLs)
+    const gitInitResult = await initGit(plan.repoPath);
+    const git = gitInitResult.git;
+    const actualRepoPath = gitInitResult.actualPath;
     
-    // Get valid dates (excluding Sundays and holidays)
-    const countryCode = country || 'US';
-    const validDates = getValidDates(start, end, countryCode);
+    // The run id fills {runId} in branch names and commit messages
+    const runId = createRunId();
+    const branchNames = plan.branches.map(plannedBranch => fillRunId(plannedBranch.branch, runId));
     
-    if (validDates.length === 0) {
+    // Stop before creating anything if the run would replace existing branches or move the checked-out branch
+    const targetCheck = await checkRunTargets(git, plan, branchNames);
+    if (targetCheck.error) {
       clearTimeout(timeout);
+      console.log(`[${requestId}] [PROCESS] ${targetCheck.error}`);
       return res.status(400).json({ 
         success: false, 
-        message: 'No valid dates found in the specified range (all dates are Sundays or holidays)' 
+        message: targetCheck.error 
       });
     }
     
-    // Automatically adjust number of branches if there aren't enough valid dates
-    let actualNumBranches = numBranchesNum;
-    let adjustedBranches = false;
-    if (validDates.length < numBranchesNum) {
-      actualNumBranches = validDates.length;
-      adjustedBranches = true;
-      console.log(`[${requestId}] [PROCESS] Adjusted number of branches from ${numBranchesNum} to ${actualNumBranches} (only ${validDates.length} valid dates available)`);
-    }
-    
-    // Randomly select dates (one per branch)
-    const shuffledDates = [...validDates].sort(() => Math.random() - 0.5);
-    const datesToProcess = shuffledDates.slice(0, actualNumBranches);
-    const datesToProcessCount = datesToProcess.length;
-    
-    // Randomly distribute commits across branches
-    // Each branch gets at least 1 commit, then distribute the rest randomly
-    const commitsPerBranch = new Array(actualNumBranches).fill(1); // Start with 1 commit per branch
-    let remainingCommits = totalCommitsNum - actualNumBranches; // Remaining commits to distribute
-    
-    // Randomly distribute remaining commits
-    for (let i = 0; i < remainingCommits; i++) {
-      const randomBranch = Math.floor(Math.random() * actualNumBranches);
-      commitsPerBranch[randomBranch]++;
+    // A new local-only repository gets a first commit to branch from
+    if (plan.localOnly) {
+      const initialCommit = await ensureInitialCommit(git, plan.baseBranch || 'main', { repoPath: actualRepoPath, timestamp: getFirstPlannedTimestamp(plan), setCommitterDate: plan.setCommitterDate !== false, signing: plan.signing || null, writer: plan.writer });
+      if (!initialCommit.success) {
+        clearTimeout(timeout);
+        return res.status(500).json({ 
+          success: false, 
+          message: initialCommit.message 
+        });
+      }
     }
     
-    // Shuffle the commits distribution to make it more random
-    commitsPerBranch.sort(() => Math.random() - 0.5);
-    
-    // Log selected dates for verification
-    console.log(`[${requestId}] [PROCESS] Total valid dates: ${validDates.length}`);
-    console.log(`[${requestId}] [PROCESS] Number of branches: ${actualNumBranches}${adjustedBranches ? ` (adjusted from ${numBranchesNum})` : ''}`);
-    console.log(`[${requestId}] [PROCESS] Total commits: ${totalCommitsNum}`);
-    console.log(`[${requestId}] [PROCESS] Commits distribution: ${commitsPerBranch.join(', ')}`);
-    console.log(`[${requestId}] [PROCESS] Dates to process: ${datesToProcessCount}`);
-    console.log(`[${requestId}] [PROCESS] Selected dates:`, datesToProcess.map(d => formatDate(d)).join(', '));
-    
-    // Initialize git (handles both local paths and URLs)
-    const gitInitResult = await initGit(repoPath);
-    const git = gitInitResult.git;
-    const actualRepoPath = gitInitResult.actualPath;
-    
     // Prepare PR options if PR creation is requested
-    const prOptions = createPR ? {
+    const prOptions = plan.createPR ? {
       createPR: true,
-      autoMerge: autoMerge || false,
+      autoMerge: plan.autoMerge,
       token: prToken,
-      baseBranch: baseBranch || 'main',
-      platform: platform,
-      mergeMethod: mergeMethod || 'merge'
+      baseBranch: plan.baseBranch,
+      platform: plan.platform,
+      mergeMethod: plan.mergeMethod
     } : null;
     
-    // Process each selected date (N commits per branch)
+    // Process each planned branch (one commit per branch)
     const results = [];
-    const totalDates = datesToProcess.length;
-    console.log(`[${requestId}] [PROCESS] Starting to process ${totalDates} branches with ${totalCommitsNum} total commits`);
+    const totalDates = plan.branches.length;
+    console.log(`[${requestId}] [PROCESS] Starting to process ${totalDates} branches with ${plan.totalCommits} total commits`);
     
-    for (let i = 0; i < datesToProcess.length; i++) {
-      const date = datesToProcess[i];
-      const dateStr = formatDate(date);
+    for (let i = 0; i < plan.branches.length; i++) {
+      const plannedBranch = plan.branches[i];
+      const branchName = branchNames[i];
+      const dateStr = plannedBranch.date;
       const progress = `[${i + 1}/${totalDates}]`;
       const commitsForThisBranch = commitsPerBranch[i];
       
@@ -881,7 +1536,8 @@ app.post('/api/process', async (req, res) => {
       
       try {
         const startTime = Date.now();
-        const result = await processDate(git, date, commitsForThisBranch, remote || 'origin', prOptions, actualRepoPath, coAuthors || [], coAuthorRate || 0);
+        const result = await processDate(git, parseDate(dateStr), commitsForThisBranch, plan.remote, prOptions, actualRepoPath, plan.coAuthors, plan.coAuthorRate,
+          getProcessDateOptions(plan, plannedBranch, branchName, runId));
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
         
         results.push(result);
@@ -901,7 +1557,7 @@ app.post('/api/process', async (req, res) => {
       }
       
       // Log progress every 10 branches
-      if ((i + 1) % 10 === 0 || i === datesToProcess.length - 1) {
+      if ((i + 1) % 10 === 0 || i === plan.branches.length - 1) {
         const completed = i + 1;
         const successCount = results.filter(r => r.success).length;
         console.log(`[${requestId}] [PROCESS] Progress: ${completed}/${totalDates} branches completed, ${successCount} succeeded`);
@@ -930,29 +1586,47 @@ app.post('/api/process', async (req, res) => {
     });
     const branchesCreated = results.filter(r => r.results && r.results.branchResult && r.results.branchResult.success).length;
     const branchesPushed = results.filter(r => r.results && r.results.push && r.results.push.success).length;
+    const branchesMerged = results.filter(r => r.results && r.results.merge && r.results.merge.success).length;
     
     clearTimeout(timeout);
     console.log(`[${requestId}] [PROCESS] Completed: ${successCount} succeeded, ${failureCount} failed`);
-    console.log(`[${requestId}] [PROCESS] Stats: ${commitsCreated} commits created, ${branchesCreated} branches, ${branchesPushed} pushed, ${prsCreated} PRs created, ${prsMerged} PRs merged`);
+    console.log(`[${requestId}] [PROCESS] Stats: ${commitsCreated} commits created, ${branchesCreated} branches, ${branchesPushed} pushed, ${branchesMerged} merged locally, ${prsCreated} PRs created, ${prsMerged} PRs merged`);
     
     if (!res.headersSent) {
       res.json({
         success: true,
         message: `Processed ${results.length} branches (${successCount} succeeded, ${failureCount} failed). Created ${commitsCreated} commits total.`,
-        numBranches: actualNumBranches,
-        requestedBranches: numBranchesNum,
-        totalCommits: totalCommitsNum,
+        runId,
+        percentage: run.percentage,
+        numBranches: plan.numBranches,
+        totalCommits: plan.totalCommits,
         commitsCreated: commitsCreated,
         commitsPerBranch: commitsPerBranch,
-        totalDates: validDates.length,
-        datesToProcess: datesToProcessCount,
-        adjustedBranches: adjustedBranches,
+        totalDates: plan.totalValidDates,
+        datesToProcess: plan.branches.length,
+        timeZone: plan.timeZone,
+        timeWindows: plan.timeWindows,
+        setCommitterDate: plan.setCommitterDate,
+        content: plan.content,
+        messages: plan.messages,
+        branchTemplate: plan.branchTemplate,
+        personas: plan.personas,
+        signing: plan.signing,
+        localOnly: plan.localOnly,
+        mergeLocally: plan.mergeLocally,
+        writer: plan.writer,
+        seed: plan.seed,
+        weekendDays: plan.weekendDays,
+        calendarExcludedDates: plan.calendarExcludedDates,
+        holidaySets: plan.holidaySets,
+        blackouts: plan.blackouts,
         successCount,
         failureCount,
         stats: {
           commitsCreated,
           branchesCreated,
           branchesPushed,
+          branchesMerged,
           prsCreated,
           prsFailed,
           prsMerged
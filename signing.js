@@ -0,0 +1,159 @@
+/**
+ * Commit signing (GPG or SSH)
+ * Repositories that require signed commits reject unsigned fixture history, so a run can sign
+ * every commit it creates. Signing is configured through GIT_CONFIG_* environment variables on
+ * the git instances that commit, which leaves the repository's own configuration untouched.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const SIGNING_FORMATS = ['gpg', 'ssh'];
+
+/**
+ * Check that GPG has a secret key for a key id (or user id)
+ * @param {string} key - Key id, fingerprint or user id
+ * @returns {boolean} - True if the key can sign
+ */
+function hasGpgSecretKey(key) {
+  try {
+    execFileSync('gpg', ['--batch', '--list-secret-keys', '--with-colons', '--', key], { stdio: 'ignore', timeout: 10000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the public key for an SSH signing key, needed to verify the signatures
+ * @param {string} key - Literal public key (key::ssh-...) or path to the private or public key file
+ * @returns {string|null} - Public key line, or null if it cannot be found
+ */
+function findSshPublicKey(key) {
+  if (key.startsWith('key::')) {
+    return key.substring('key::'.length).trim();
+  }
+  const publicKeyPath = key.endsWith('.pub') ? key : `${key}.pub`;
+  try {
+    return fs.readFileSync(publicKeyPath, 'utf8').trim().split('\n')[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a signing setting
+ * @param {Object|undefined} signing - { format: 'gpg' | 'ssh', key, allowedSigners? } (default: no signing)
+ * @returns {{error?: string, signing?: Object|null}} - Normalized setting (null without signing) or an error
+ */
+function resolveSigning(signing) {
+  if (signing === undefined || signing === null || signing === '') {
+    return { signing: null };
+  }
+  if (typeof signing !== 'object' || Array.isArray(signing)) {
+    return { error: 'Signing must be an object with format (gpg or ssh) and key' };
+  }
+  const { format = 'gpg', key, allowedSigners } = signing;
+  if (!SIGNING_FORMATS.includes(format)) {
+    return { error: `Unknown signing format: ${format}. Use one of: ${SIGNING_FORMATS.join(', ')}` };
+  }
+  if (typeof key !== 'string' || key.trim() === '' || /[\r\n]/.test(key) || key.trim().startsWith('-')) {
+    return { error: format === 'gpg' ? 'Signing key must be a GPG key id, fingerprint or user id' : 'Signing key must be the path to an SSH key or key::<public key>' };
+  }
+  const signingKey = key.trim();
+
+  if (format === 'gpg') {
+    if (!hasGpgSecretKey(signingKey)) {
+      return { error: `GPG has no secret key for ${signingKey} (for the user running the server)` };
+    }
+    return { signing: { format, key: signingKey, allowedSigners: null, publicKey: null } };
+  }
+
+  if (!signingKey.startsWith('key::') && !fs.existsSync(signingKey)) {
+    return { error: `SSH signing key not found: ${signingKey}` };
+  }
+  if (allowedSigners !== undefined && allowedSigners !== null && allowedSigners !== '') {
+    if (typeof allowedSigners !== 'string' || !fs.existsSync(allowedSigners)) {
+      return { error: `Allowed signers file not found: ${allowedSigners}` };
+    }
+    return { signing: { format, key: signingKey, allowedSigners, publicKey: null } };
+  }
+  // Without an allowed signers file, one is written for the run from the public key
+  const publicKey = findSshPublicKey(signingKey);
+  if (!publicKey || !/^(ssh-|ecdsa-|sk-)/.test(publicKey)) {
+    return { error: `Could not find the public key of ${signingKey} to verify signatures. Put it next to the private key (${signingKey}.pub) or pass allowedSigners` };
+  }
+  return { signing: { format, key: signingKey, allowedSigners: null, publicKey } };
+}
+
+/**
+ * Prepare signing for a set of commits
+ * @param {Object} signing - Normalized setting (see resolveSigning)
+ * @returns {{env: Object, cleanup: function(): void}} - Environment variables for the git instances that commit
+ *   and verify, and a function removing the temporary allowed signers file (if one was written)
+ */
+function prepareSigning(signing) {
+  const config = {
+    'commit.gpgsign': 'true',
+    'user.signingkey': signing.key,
+    'gpg.format': signing.format === 'ssh' ? 'ssh' : 'openpgp'
+  };
+
+  let tempDir = null;
+  if (signing.format === 'ssh') {
+    let allowedSigners = signing.allowedSigners;
+    if (!allowedSigners) {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-git-signers-'));
+      allowedSigners = path.join(tempDir, 'allowed_signers');
+      fs.writeFileSync(allowedSigners, `* namespaces="git" ${signing.publicKey}\n`);
+    }
+    config['gpg.ssh.allowedSignersFile'] = allowedSigners;
+  }
+
+  const entries = Object.entries(config);
+  const env = { GIT_CONFIG_COUNT: String(entries.length) };
+  entries.forEach(([key, value], i) => {
+    env[`GIT_CONFIG_KEY_${i}`] = key;
+    env[`GIT_CONFIG_VALUE_${i}`] = value;
+  });
+
+  return {
+    env,
+    cleanup: () => {
+      if (tempDir) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Check a %G? signature status
+ * G is a good signature. For GPG, U is a good signature by a key of unknown trust (usual for a
+ * fixture key); for SSH, U means the key is missing from the allowed signers file, so it fails.
+ * @param {string} status - Status from `git show --format=%G?`
+ * @param {Object} signing - Normalized setting
+ * @returns {boolean} - True for a good signature
+ */
+function isGoodSignature(status, signing) {
+  return status === 'G' || (status === 'U' && signing.format === 'gpg');
+}
+
+/**
+ * Describe a signing setting for progress messages
+ * @param {Object} signing - Normalized setting
+ * @returns {string} - e.g. "SSH key ~/.ssh/id_ed25519"
+ */
+function describeSigning(signing) {
+  return `${signing.format === 'ssh' ? 'SSH' : 'GPG'} key ${signing.key.startsWith('key::') ? signing.key.substring(0, 40) + '...' : signing.key}`;
+}
+
+module.exports = {
+  SIGNING_FORMATS,
+  resolveSigning,
+  prepareSigning,
+  isGoodSignature,
+  describeSigning
+};